@@ -0,0 +1,470 @@
+#!/usr/bin/env node
+/**
+ * Command-line prayer times for scripts and SSH sessions
+ * Built on the shared schedule core (prayer-core.js), so it uses the same providers,
+ * day records and cache rules as the display. Needs Node 18+ (global fetch).
+ */
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PrayerCore } = require("./prayer-core.js");
+const { createPrayerServer } = require("./server.js");
+
+const DEFAULT_ZONE = "JHR04";
+const BUNDLED_CSV_FILE = path.join(__dirname, "prayer_times.csv");
+const BUNDLED_CSV_ZONE = "JHR04"; // Zone of the bundled timetable
+const ZONE_LIST_FILE = path.join(__dirname, "index.html"); // Zone names come from the zone-select list
+const DEFAULT_CACHE_FILE = path.join(os.homedir(), ".cache", "prayer-times", "months.json");
+const OFFLINE_PROVIDERS = ["csv"];
+const DEFAULT_PORT = 8080;
+const DEFAULT_HOST = "0.0.0.0"; // Reachable from other devices on the LAN
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  today                 Prayer times for a day
+  next                  Next prayer and time remaining
+  month                 Prayer times for every day of a month
+  zones                 List zone codes
+  serve                 HTTP JSON server for other devices (/today, /next, /month/{zone}/{yyyy-mm}, /status)
+
+Options:
+  --zone <code>         JAKIM zone (default ${DEFAULT_ZONE})
+  --date <yyyy-mm-dd>   Day to show (month: any day in the month, or yyyy-mm)
+  --at <time>           Treat this ISO time as now (e.g. 2025-03-07T12:30:00+08:00)
+  --json                JSON output
+  --csv                 CSV output (JAKIM layout for today/month)
+  --csv-file <file>     JAKIM CSV timetable for --zone (default: bundled file for ${BUNDLED_CSV_ZONE})
+  --offline             Use only the cache and CSV timetables
+  --cache <file>        Month cache file (default ${DEFAULT_CACHE_FILE})
+  --no-cache            Don't read or write the month cache
+  --port <port>         serve: port to listen on (default ${DEFAULT_PORT})
+  --host <address>      serve: address to bind (default ${DEFAULT_HOST})
+  --verbose             Log provider activity (and requests) to stderr
+  -h, --help            Show this help
+
+Exit codes: 0 ok, 1 no data or fetch failure, 2 invalid usage`;
+
+/**
+ * Error with the process exit code to use (2 for invalid usage)
+ */
+function cliError(message, exitCode = 1) {
+    const error = new Error(message);
+    error.exitCode = exitCode;
+    return error;
+}
+
+/**
+ * Parse argv into { command, options }
+ */
+function parseArgs(argv) {
+    const options = {
+        zone: DEFAULT_ZONE,
+        date: null,
+        at: null,
+        format: "table",
+        csvFile: null,
+        offline: false,
+        cacheFile: DEFAULT_CACHE_FILE,
+        port: String(DEFAULT_PORT),
+        host: DEFAULT_HOST,
+        verbose: false,
+        help: false
+    };
+    const valueFlags = { "--zone": "zone", "--date": "date", "--at": "at", "--csv-file": "csvFile", "--cache": "cacheFile",
+        "--port": "port", "--host": "host" };
+    let command = null;
+
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inlineValue] = argv[i].startsWith("--") ? argv[i].split(/=(.*)/s) : [argv[i]];
+
+        if (valueFlags[flag]) {
+            const value = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (value === undefined || value === "") throw cliError(`${flag} needs a value`, 2);
+            options[valueFlags[flag]] = value;
+        } else if (flag === "--json" || flag === "--csv") {
+            options.format = flag.slice(2);
+        } else if (flag === "--offline") {
+            options.offline = true;
+        } else if (flag === "--no-cache") {
+            options.cacheFile = null;
+        } else if (flag === "--verbose") {
+            options.verbose = true;
+        } else if (flag === "-h" || flag === "--help") {
+            options.help = true;
+        } else if (flag.startsWith("-")) {
+            throw cliError(`Unknown option: ${flag}`, 2);
+        } else if (!command) {
+            command = flag;
+        } else {
+            throw cliError(`Unexpected argument: ${flag}`, 2);
+        }
+    }
+
+    options.zone = options.zone.toUpperCase();
+    if (!/^[A-Z]{3}\d{2}$/.test(options.zone)) {
+        throw cliError(`Invalid zone code: ${options.zone}`, 2);
+    }
+
+    return { command, options };
+}
+
+/**
+ * Calendar day from yyyy-mm-dd (or yyyy-mm when allowMonth, as its 1st day)
+ */
+function parseDate(value, allowMonth = false) {
+    const match = /^(\d{4})-(\d{2})(?:-(\d{2}))?$/.exec(value);
+    if (!match || (!match[3] && !allowMonth)) {
+        throw cliError(`Invalid date: ${value} (expected yyyy-mm-dd${allowMonth ? " or yyyy-mm" : ""})`, 2);
+    }
+
+    const [year, month, day] = [match[1], match[2], match[3] || "01"].map(Number);
+    const date = new Date(year, month - 1, day);
+    if (date.getMonth() !== month - 1 || date.getDate() !== day) {
+        throw cliError(`Invalid date: ${value}`, 2);
+    }
+    return date;
+}
+
+/**
+ * yyyy-mm-dd of a calendar day
+ */
+function isoDate(date) {
+    return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+        .map((n, i) => String(n).padStart(i === 0 ? 4 : 2, "0"))
+        .join("-");
+}
+
+/**
+ * Fill the core's month cache from the cache file (same entries and expiry as the display's cache)
+ */
+function loadCache(core, file) {
+    if (!file || !fs.existsSync(file)) return;
+
+    try {
+        const entries = JSON.parse(fs.readFileSync(file, "utf8"));
+        entries.forEach(entry => core.cacheStore.memory.set(entry.key, entry));
+    } catch (error) {
+        console.warn(`Ignoring unreadable cache ${file}:`, error.message);
+    }
+}
+
+/**
+ * Write the core's month cache back to the cache file
+ */
+function saveCache(core, file) {
+    if (!file) return;
+
+    try {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(Array.from(core.cacheStore.memory.values())));
+    } catch (error) {
+        console.warn(`Failed to save cache ${file}:`, error.message);
+    }
+}
+
+/**
+ * Register the --csv-file timetable, or the bundled one when its zone is requested
+ */
+function loadCSVTimetable(core, options) {
+    const file = options.csvFile || (options.zone === BUNDLED_CSV_ZONE ? BUNDLED_CSV_FILE : null);
+    if (!file) return;
+
+    if (!fs.existsSync(file)) {
+        if (options.csvFile) throw cliError(`CSV file not found: ${file}`, 2);
+        return;
+    }
+
+    try {
+        const count = core.addCSVData(options.zone, fs.readFileSync(file, "utf8"));
+        console.log(`Loaded ${count} days from ${file}`);
+    } catch (error) {
+        throw cliError(`Invalid CSV file ${file}: ${error.message}`);
+    }
+}
+
+/**
+ * A zone's times for a day with its provider id, or a "no data" error
+ */
+async function getDay(core, zone, date) {
+    let times = null;
+    try {
+        times = await core.loadDayTimes(zone, date);
+    } catch (error) {
+        console.warn(error.message);
+    }
+
+    if (!times) {
+        throw cliError(`No prayer times for ${zone} on ${isoDate(date)}`);
+    }
+    return { date, times, source: core.monthlySources[`${zone}_${date.getFullYear()}_${date.getMonth() + 1}`] };
+}
+
+/**
+ * Next prayer after now, looking into tomorrow after Isyak: { prayer, label, date, timeMs, source }
+ */
+async function findNext(core, zone, now) {
+    const date = core.clock.today(now);
+    const today = await getDay(core, zone, date);
+    const tomorrow = await getDay(core, zone, core.clock.addDays(date, 1)).catch(() => null);
+
+    const next = core.findNextPrayer(today.times, tomorrow && tomorrow.times, now);
+    if (!next) {
+        throw cliError(`No upcoming prayer for ${zone} after ${core.clock.formatTime(now)}`);
+    }
+
+    const day = core.clock.today(new Date(next.timeMs)).getTime() === date.getTime() ? today : tomorrow;
+    // Zohor is shown as Jumaat on Fridays, as on the display
+    const label = next.prayer === "Zohor" && core.isJumaatDay(day.date) ? core.calendar.days[5] : next.prayer;
+    return { prayer: next.prayer, label, date: day.date, timeMs: next.timeMs, source: day.source };
+}
+
+/**
+ * Zone codes with their state and area names from the display's zone list
+ */
+function readZones(core) {
+    const zones = [];
+
+    if (fs.existsSync(ZONE_LIST_FILE)) {
+        const html = fs.readFileSync(ZONE_LIST_FILE, "utf8");
+        const groupPattern = /<optgroup label="([^"]*)">([\s\S]*?)<\/optgroup>/g;
+        const optionPattern = /<option value="([A-Z]{3}\d{2})"[^>]*>([\s\S]*?)<\/option>/g;
+        let group;
+
+        while ((group = groupPattern.exec(html))) {
+            let option;
+            while ((option = optionPattern.exec(group[2]))) {
+                zones.push({ code: option[1], state: group[1], name: option[2].replace(/\s+/g, " ").trim() });
+            }
+        }
+    }
+
+    // Without the page, fall back to the zones the calculator knows (codes only)
+    if (zones.length === 0) {
+        Object.keys(core.calculator.ZONE_COORDINATES).forEach(code => zones.push({ code, state: "", name: "" }));
+    }
+    return zones;
+}
+
+/**
+ * Left-aligned text columns
+ */
+function formatTable(rows) {
+    const widths = rows[0].map((_, col) => Math.max(...rows.map(row => String(row[col]).length)));
+    return rows.map(row => row.map((cell, col) => String(cell).padEnd(widths[col])).join("  ").trimEnd()).join("\n");
+}
+
+/**
+ * Quote a CSV cell when needed
+ */
+function csvCell(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * JSON shape of a day: prayer names to "HH:mm", plus its date, Hijri date and source
+ */
+function dayToJson(core, zone, { date, times, source }) {
+    const prayers = {};
+    core.PRAYER_NAMES.forEach(name => { prayers[name] = times[name]; });
+    return { zone, date: isoDate(date), day: times["Day"], hijri: times["Date Hijri"], source, times: prayers };
+}
+
+/**
+ * Provider label for a footer line (marks locally calculated times as approximate)
+ */
+function sourceLabel(core, source) {
+    const provider = core.providers[source];
+    const label = provider ? provider.label : source;
+    return source === "calculated" ? `${label} (approximate)` : label;
+}
+
+const commands = {
+    /**
+     * Times for one day
+     */
+    async today(core, options) {
+        const date = options.date ? parseDate(options.date) : core.clock.today();
+        const day = await getDay(core, options.zone, date);
+
+        if (options.format === "json") return JSON.stringify(dayToJson(core, options.zone, day), null, 2);
+        if (options.format === "csv") return core.buildTimetableCSV([day]);
+
+        const rows = core.PRAYER_NAMES.map(name => [name, day.times[name]]);
+        return [
+            `${options.zone} · ${day.times["Day"]}, ${core.formatDateForApi(date)} · ${core.formatHijriDate(day.times["Date Hijri"])}`,
+            formatTable(rows),
+            `Source: ${sourceLabel(core, day.source)}`
+        ].join("\n");
+    },
+
+    /**
+     * Next prayer after now (or --at), looking into tomorrow after Isyak
+     */
+    async next(core, options) {
+        const now = core.clock.now();
+        const next = await findNext(core, options.zone, now);
+        const isTomorrow = next.date.getTime() !== core.clock.today(now).getTime();
+        const time = core.clock.formatTime(next.timeMs).slice(0, 5);
+        const inSeconds = Math.floor((next.timeMs - now.getTime()) / 1000);
+
+        if (options.format === "json") {
+            return JSON.stringify({
+                zone: options.zone,
+                prayer: next.prayer,
+                label: next.label,
+                date: isoDate(next.date),
+                time,
+                at: new Date(next.timeMs).toISOString(),
+                inSeconds,
+                source: next.source
+            }, null, 2);
+        }
+        if (options.format === "csv") {
+            return ["zone,prayer,label,date,time,in_seconds",
+                [options.zone, next.prayer, next.label, isoDate(next.date), time, inSeconds].map(csvCell).join(",")].join("\r\n") + "\r\n";
+        }
+
+        const { hours, mins, secs } = core.formatTimeDifference(next.timeMs - now.getTime());
+        const remaining = `${hours}h ${String(mins).padStart(2, "0")}m ${String(secs).padStart(2, "0")}s`;
+        return `${options.zone} · ${next.label} ${time}${isTomorrow ? " (tomorrow)" : ""} · in ${remaining}`;
+    },
+
+    /**
+     * Times for every day of a month
+     */
+    async month(core, options) {
+        const start = options.date ? parseDate(options.date, true) : core.clock.today();
+        const days = [];
+        for (let date = new Date(start.getFullYear(), start.getMonth(), 1);
+            date.getMonth() === start.getMonth(); date = core.clock.addDays(date, 1)) {
+            days.push(await getDay(core, options.zone, date));
+        }
+
+        if (options.format === "json") {
+            return JSON.stringify(days.map(day => dayToJson(core, options.zone, day)), null, 2);
+        }
+        if (options.format === "csv") return core.buildTimetableCSV(days);
+
+        const rows = [["Date", "Hijri", "Day", ...core.PRAYER_NAMES]].concat(days.map(({ date, times }) => [
+            core.formatDateForApi(date), times["Date Hijri"], times["Day"], ...core.PRAYER_NAMES.map(name => times[name])
+        ]));
+        const sources = [...new Set(days.map(day => sourceLabel(core, day.source)))];
+        return [
+            `${options.zone} · ${core.locale.months[start.getMonth()]} ${start.getFullYear()}`,
+            formatTable(rows),
+            `Source: ${sources.join(", ")}`
+        ].join("\n");
+    },
+
+    /**
+     * Known zone codes
+     */
+    async zones(core, options) {
+        const zones = readZones(core);
+
+        if (options.format === "json") return JSON.stringify(zones, null, 2);
+        if (options.format === "csv") {
+            return ["code,state,name", ...zones.map(z => [z.code, z.state, z.name].map(csvCell).join(","))].join("\r\n") + "\r\n";
+        }
+        return formatTable(zones.map(z => [z.code, z.state, z.name]));
+    },
+
+    /**
+     * Serve the schedule over HTTP until interrupted
+     */
+    async serve(core, options) {
+        const port = Number(options.port);
+        if (!Number.isInteger(port) || port < 0 || port > 65535) {
+            throw cliError(`Invalid port: ${options.port}`, 2);
+        }
+
+        const server = createPrayerServer(core, {
+            zone: options.zone,
+            offline: options.offline,
+            getDay: (zone, date) => getDay(core, zone, date),
+            findNext: (zone, now) => findNext(core, zone, now),
+            onDataLoaded: () => saveCache(core, options.cacheFile)
+        });
+
+        await new Promise((resolve, reject) => {
+            server.once("error", error => reject(cliError(`Cannot listen on ${options.host}:${port}: ${error.message}`)));
+            server.listen(port, options.host, resolve);
+        });
+        process.stderr.write(`Serving ${options.zone} on http://${options.host}:${server.address().port}/ (Ctrl+C to stop)\n`);
+
+        // Load today's month up front so the first request doesn't wait for a provider
+        await getDay(core, options.zone, core.clock.today()).catch(error => console.warn(error.message));
+        saveCache(core, options.cacheFile);
+
+        await new Promise(resolve => {
+            const stop = () => {
+                server.close(resolve);
+                if (server.closeAllConnections) server.closeAllConnections();
+            };
+            process.once("SIGINT", stop);
+            process.once("SIGTERM", stop);
+        });
+        return "";
+    }
+};
+
+/**
+ * Run the CLI and return the exit code
+ */
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs(argv);
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+        return error.exitCode || 2;
+    }
+
+    const { command, options } = parsed;
+    if (options.help || !command) {
+        (options.help ? process.stdout : process.stderr).write(`${USAGE}\n`);
+        return options.help ? 0 : 2;
+    }
+    if (!commands[command]) {
+        process.stderr.write(`Unknown command: ${command}\n\n${USAGE}\n`);
+        return 2;
+    }
+
+    // The core logs provider activity; keep stdout clean for scripts
+    if (options.verbose) {
+        console.log = console.error;
+    } else {
+        console.log = console.warn = () => { };
+    }
+
+    const core = new PrayerCore(options.offline ? { providerOrder: OFFLINE_PROVIDERS } : {});
+    try {
+        if (options.at) core.clock.useFixedTime(options.at);
+    } catch (error) {
+        process.stderr.write(`${error.message}\n`);
+        return 2;
+    }
+
+    try {
+        loadCache(core, options.cacheFile);
+        loadCSVTimetable(core, options);
+        const output = await commands[command](core, options);
+        if (output) process.stdout.write(output.endsWith("\n") ? output : `${output}\n`);
+        return 0;
+    } catch (error) {
+        process.stderr.write(`Error: ${error.message}\n`);
+        return error.exitCode || 1;
+    } finally {
+        saveCache(core, options.cacheFile);
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => { process.exitCode = code; });
+}
+
+module.exports = { main, parseArgs };
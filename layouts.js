@@ -0,0 +1,110 @@
+/**
+ * Prayer time layouts: how the day's prayers are drawn on a screen
+ * Every layout gets the same view state from PrayerTimeApp.getPrayerView():
+ *   { prayers: [{ name, label, time, status }], next: { name, label, countdown } | null, doneText }
+ * where status is "current", "passed" or "upcoming" and the text is already translated.
+ * render() rebuilds the markup (new day, language or layout); update() runs on every clock
+ * tick and only touches classes and text. Loaded with a <script> tag (window.PrayerTimesLayouts)
+ * or require("./layouts.js").
+ */
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PrayerTimesLayouts = factory();
+    }
+})(typeof self !== "undefined" ? self : this, function () {
+    "use strict";
+
+    /**
+     * Set current/passed classes on every [data-prayer] element from the view
+     */
+    function markPrayers(container, view) {
+        const statuses = {};
+        view.prayers.forEach(prayer => {
+            statuses[prayer.name] = prayer.status;
+        });
+
+        container.querySelectorAll("[data-prayer]").forEach(element => {
+            const status = statuses[element.getAttribute("data-prayer")];
+            element.classList.toggle("current", status === "current");
+            element.classList.toggle("passed", status === "passed");
+        });
+    }
+
+    /**
+     * Name and time blocks shared by the table and grid cells
+     */
+    function prayerContent(prayer) {
+        return `
+            <div class="prayer-name">${prayer.label}</div>
+            <div class="prayer-time">${prayer.time}</div>
+        `;
+    }
+
+    const LAYOUTS = {
+        // Landscape TV: one row of cells
+        table: {
+            render(container, view) {
+                const cells = view.prayers
+                    .map(prayer => `<td data-prayer="${prayer.name}">${prayerContent(prayer)}</td>`)
+                    .join("");
+                container.innerHTML = `<table class="prayer-table"><tr>${cells}</tr></table>`;
+                markPrayers(container, view);
+            },
+            update: markPrayers
+        },
+
+        // Portrait tablet: cards in a grid
+        grid: {
+            render(container, view) {
+                const cells = view.prayers
+                    .map(prayer => `<div class="prayer-cell" data-prayer="${prayer.name}">${prayerContent(prayer)}</div>`)
+                    .join("");
+                container.innerHTML = `<div class="prayer-grid">${cells}</div>`;
+                markPrayers(container, view);
+            },
+            update: markPrayers
+        },
+
+        // Compact: every prayer on a single line
+        ticker: {
+            render(container, view) {
+                const items = view.prayers
+                    .map(prayer => `
+                        <span class="ticker-item" data-prayer="${prayer.name}">
+                            <span class="prayer-name">${prayer.label.replace(/\n/g, " / ")}</span>
+                            <span class="prayer-time">${prayer.time}</span>
+                        </span>
+                    `)
+                    .join("");
+                container.innerHTML = `<div class="prayer-ticker">${items}</div>`;
+                markPrayers(container, view);
+            },
+            update: markPrayers
+        },
+
+        // Large countdown to the next prayer only
+        countdown: {
+            render(container, view) {
+                container.innerHTML = `
+                    <div class="prayer-countdown">
+                        <div class="countdown-label"></div>
+                        <div class="countdown-time"></div>
+                    </div>
+                `;
+                this.update(container, view);
+            },
+            update(container, view) {
+                const label = container.querySelector(".countdown-label");
+                const time = container.querySelector(".countdown-time");
+                if (!label || !time) return;
+
+                label.textContent = view.next ? view.next.label : view.doneText;
+                time.textContent = view.next ? view.next.countdown : "";
+            }
+        }
+    };
+
+    return { LAYOUTS };
+});
@@ -0,0 +1,370 @@
+/**
+ * Display languages: prayer names, day/month names and messages
+ * Data keys (PRAYER_NAMES, the "Day" field, CSV month abbreviations) stay in the core;
+ * everything shown on screen comes from here. Loaded with a <script> tag
+ * (window.PrayerTimesLocales) or require("./locales.js").
+ */
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PrayerTimesLocales = factory();
+    }
+})(typeof self !== "undefined" ? self : this, function () {
+    "use strict";
+
+    const DEFAULT_LANGUAGE = "ms";
+
+    // Digit sets for locales that don't use 0-9
+    const DIGITS = {
+        arab: ["٠", "١", "٢", "٣", "٤", "٥", "٦", "٧", "٨", "٩"]
+    };
+
+    const LOCALES = {
+        ms: {
+            name: "Bahasa Melayu",
+            lang: "ms",
+            dir: "ltr",
+            digits: null,
+            ampm: ["AM", "PM"],
+            prayers: {
+                "Imsak": "Imsak", "Subuh": "Subuh", "Syuruk": "Syuruk", "Zohor": "Zohor",
+                "Asar": "Asar", "Maghrib": "Maghrib", "Isyak": "Isyak", "Jumaat": "Jumaat"
+            },
+            days: ["Ahad", "Isnin", "Selasa", "Rabu", "Khamis", "Jumaat", "Sabtu"],
+            months: ["Jan", "Feb", "Mac", "Apr", "Mei", "Jun", "Jul", "Ogos", "Sep", "Okt", "Nov", "Dis"],
+            hijriMonths: [
+                "Muharram", "Safar", "Rabiulawal", "Rabiulakhir", "Jamadilawal", "Jamadilakhir",
+                "Rejab", "Syaaban", "Ramadan", "Syawal", "Zulkaedah", "Zulhijjah"
+            ],
+            dateFormat: "{day}, {date} {month} {year}",
+            hijriFormat: "{day} {month} {year}H",
+            messages: {
+                startTitle: "🕌 Aplikasi Jam Waktu Solat",
+                startSubtitle: "Klik di mana-mana untuk mula",
+                loading: "Memuatkan data waktu solat...",
+                detecting: "Mengesan lokasi...",
+                allPrayersComplete: "Semua waktu solat untuk hari ini telah selesai.",
+                nextPrayerFormat: "Waktu Solat ({prayer}) dalam {hours}j {mins}m {secs}s",
+                hijriDateFormat: "Tarikh Hijri: {date}",
+                audioError: "Ralat memainkan audio",
+                apiError: "Gagal mendapatkan data waktu solat.",
+                gpsError: "Gagal mengesan lokasi. Menggunakan zon lalai.",
+                noDataFound: "Tiada data waktu solat dijumpai untuk tarikh ini",
+                initError: "Ralat memulakan aplikasi. Sila semak sambungan internet dan muat semula halaman.",
+                appError: "Ralat aplikasi. Cuba muat semula halaman jika masalah berterusan.",
+                systemError: "Ralat sistem. Sila semak sambungan internet.",
+                refreshError: "Gagal menyegarkan data",
+                geolocationUnsupported: "Geolocation tidak disokong oleh pelayar ini.",
+                locationDetectedFormat: "Lokasi dikesan: Zon {zone}",
+                dataSourceFormat: "Sumber: {source}",
+                savedDataFormat: "Data tersimpan ({source})",
+                offline: "Offline",
+                storageFull: "Storan penuh. Data waktu solat tidak dapat disimpan untuk kegunaan luar talian.",
+                calculatedNotice: "⚠ Waktu dikira secara tempatan (anggaran), bukan data rasmi JAKIM",
+                iqamahFormat: "Iqamah {prayer} dalam",
+                khutbahFormat: "Khutbah bermula dalam",
+                imsakCountdownFormat: "Imsak dalam {hours}j {mins}m {secs}s",
+                iftarCountdownFormat: "Berbuka dalam {hours}j {mins}m {secs}s",
+                jumaatInfoFormat: "Jumaat {date} • Khatib: {khatib} • Imam: {imam}",
+                simulationFormat: "SIMULASI • {date} {time} • x{rate}{muted}",
+                simulationMuted: " • audio senyap",
+                integrationNoTargets: "Tiada webhook atau MQTT ditetapkan",
+                integrationTesting: "Menguji...",
+                integrationOk: "berjaya",
+                integrationFailed: "gagal",
+                pinIncorrect: "PIN salah",
+                settingsSaved: "Tetapan disimpan",
+                settingsImported: "Tetapan diimport",
+                settingsImportError: "Fail tetapan tidak sah: {error}",
+                settingsOverridden: "Ditetapkan oleh URL untuk skrin ini: {fields}",
+                csvImported: "CSV diimport: {days} hari untuk zon {zone}",
+                csvImportError: "Gagal mengimport CSV: {error}",
+                audioSettingsSaved: "Tetapan audio disimpan",
+                audioLeadInvalid: "{prayer}: masa bacaan mesti 0-120 minit",
+                audioFileRequired: "{prayer}: fail audio diperlukan",
+                audioFileNotFound: "Fail audio tidak dijumpai: {file}",
+                timetableTitle: "Waktu Solat {month} {year} · {zone}",
+                timetableSource: "Sumber: {source}",
+                timetableDate: "Tarikh",
+                timetableDay: "Hari",
+                timetableHijri: "Hijri",
+                exportDatesRequired: "Sila pilih tarikh mula dan akhir",
+                exportRangeOrder: "Tarikh mula mesti sebelum tarikh akhir",
+                exportRangeTooLong: "Julat eksport maksimum {days} hari",
+                exportFormatInvalid: "Format eksport tidak sah: {format}",
+                zoneInvalid: "Zon tidak sah: {zone}",
+                exported: "Dieksport: {days} hari",
+                exportError: "Gagal mengeksport: {error}"
+            }
+        },
+
+        en: {
+            name: "English",
+            lang: "en",
+            dir: "ltr",
+            digits: null,
+            ampm: ["AM", "PM"],
+            prayers: {
+                "Imsak": "Imsak", "Subuh": "Fajr", "Syuruk": "Sunrise", "Zohor": "Dhuhr",
+                "Asar": "Asr", "Maghrib": "Maghrib", "Isyak": "Isha", "Jumaat": "Jumu'ah"
+            },
+            days: ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"],
+            months: ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"],
+            hijriMonths: [
+                "Muharram", "Safar", "Rabi' al-Awwal", "Rabi' al-Thani", "Jumada al-Ula", "Jumada al-Akhirah",
+                "Rajab", "Sha'ban", "Ramadan", "Shawwal", "Dhu al-Qi'dah", "Dhu al-Hijjah"
+            ],
+            dateFormat: "{day}, {date} {month} {year}",
+            hijriFormat: "{day} {month} {year} AH",
+            messages: {
+                startTitle: "🕌 Prayer Times Clock",
+                startSubtitle: "Click anywhere to start",
+                loading: "Loading prayer times...",
+                detecting: "Detecting location...",
+                allPrayersComplete: "All of today's prayers have passed.",
+                nextPrayerFormat: "{prayer} in {hours}h {mins}m {secs}s",
+                hijriDateFormat: "Hijri date: {date}",
+                audioError: "Error playing audio",
+                apiError: "Could not get prayer times.",
+                gpsError: "Could not detect location. Using the default zone.",
+                noDataFound: "No prayer times found for this date",
+                initError: "Could not start the app. Check the internet connection and reload the page.",
+                appError: "App error. Reload the page if the problem continues.",
+                systemError: "System error. Check the internet connection.",
+                refreshError: "Could not refresh the data",
+                geolocationUnsupported: "This browser does not support geolocation.",
+                locationDetectedFormat: "Detected location: zone {zone}",
+                dataSourceFormat: "Source: {source}",
+                savedDataFormat: "Saved data ({source})",
+                offline: "Offline",
+                storageFull: "Storage full. Prayer times can't be saved for offline use.",
+                calculatedNotice: "⚠ Times calculated locally (approximate), not official JAKIM data",
+                iqamahFormat: "Iqamah for {prayer} in",
+                khutbahFormat: "Khutbah starts in",
+                imsakCountdownFormat: "Imsak in {hours}h {mins}m {secs}s",
+                iftarCountdownFormat: "Iftar in {hours}h {mins}m {secs}s",
+                jumaatInfoFormat: "Jumu'ah {date} • Khatib: {khatib} • Imam: {imam}",
+                simulationFormat: "SIMULATION • {date} {time} • x{rate}{muted}",
+                simulationMuted: " • audio muted",
+                integrationNoTargets: "No webhook or MQTT configured",
+                integrationTesting: "Testing...",
+                integrationOk: "ok",
+                integrationFailed: "failed",
+                pinIncorrect: "Wrong PIN",
+                settingsSaved: "Settings saved",
+                settingsImported: "Settings imported",
+                settingsImportError: "Invalid settings file: {error}",
+                settingsOverridden: "Set by the URL for this screen: {fields}",
+                csvImported: "CSV imported: {days} days for zone {zone}",
+                csvImportError: "Could not import the CSV: {error}",
+                audioSettingsSaved: "Audio settings saved",
+                audioLeadInvalid: "{prayer}: recitation lead must be 0-120 minutes",
+                audioFileRequired: "{prayer}: an audio file is required",
+                audioFileNotFound: "Audio file not found: {file}",
+                timetableTitle: "Prayer times {month} {year} · {zone}",
+                timetableSource: "Source: {source}",
+                timetableDate: "Date",
+                timetableDay: "Day",
+                timetableHijri: "Hijri",
+                exportDatesRequired: "Choose a start and end date",
+                exportRangeOrder: "The start date must be before the end date",
+                exportRangeTooLong: "Exports cover at most {days} days",
+                exportFormatInvalid: "Invalid export format: {format}",
+                zoneInvalid: "Invalid zone: {zone}",
+                exported: "Exported: {days} days",
+                exportError: "Export failed: {error}"
+            }
+        },
+
+        ar: {
+            name: "العربية",
+            lang: "ar",
+            dir: "rtl",
+            digits: "arab",
+            ampm: ["ص", "م"],
+            prayers: {
+                "Imsak": "الإمساك", "Subuh": "الفجر", "Syuruk": "الشروق", "Zohor": "الظهر",
+                "Asar": "العصر", "Maghrib": "المغرب", "Isyak": "العشاء", "Jumaat": "الجمعة"
+            },
+            days: ["الأحد", "الاثنين", "الثلاثاء", "الأربعاء", "الخميس", "الجمعة", "السبت"],
+            months: ["يناير", "فبراير", "مارس", "أبريل", "مايو", "يونيو", "يوليو", "أغسطس", "سبتمبر", "أكتوبر", "نوفمبر", "ديسمبر"],
+            hijriMonths: [
+                "محرم", "صفر", "ربيع الأول", "ربيع الآخر", "جمادى الأولى", "جمادى الآخرة",
+                "رجب", "شعبان", "رمضان", "شوال", "ذو القعدة", "ذو الحجة"
+            ],
+            dateFormat: "{day}، {date} {month} {year}",
+            hijriFormat: "{day} {month} {year}هـ",
+            messages: {
+                startTitle: "🕌 ساعة مواقيت الصلاة",
+                startSubtitle: "انقر في أي مكان للبدء",
+                loading: "جارٍ تحميل مواقيت الصلاة...",
+                detecting: "جارٍ تحديد الموقع...",
+                allPrayersComplete: "انتهت جميع صلوات اليوم.",
+                nextPrayerFormat: "{prayer} بعد {hours}:{mins}:{secs}",
+                hijriDateFormat: "التاريخ الهجري: {date}",
+                audioError: "خطأ في تشغيل الصوت",
+                apiError: "تعذّر الحصول على مواقيت الصلاة.",
+                gpsError: "تعذّر تحديد الموقع. تُستخدم المنطقة الافتراضية.",
+                noDataFound: "لا توجد مواقيت صلاة لهذا التاريخ",
+                initError: "تعذّر تشغيل التطبيق. تحقق من الاتصال بالإنترنت وأعد تحميل الصفحة.",
+                appError: "خطأ في التطبيق. أعد تحميل الصفحة إذا استمرت المشكلة.",
+                systemError: "خطأ في النظام. تحقق من الاتصال بالإنترنت.",
+                refreshError: "تعذّر تحديث البيانات",
+                geolocationUnsupported: "هذا المتصفح لا يدعم تحديد الموقع.",
+                locationDetectedFormat: "الموقع المحدد: المنطقة {zone}",
+                dataSourceFormat: "المصدر: {source}",
+                savedDataFormat: "بيانات محفوظة ({source})",
+                offline: "غير متصل",
+                storageFull: "التخزين ممتلئ. لا يمكن حفظ مواقيت الصلاة للاستخدام دون اتصال.",
+                calculatedNotice: "⚠ مواقيت محسوبة محلياً (تقريبية)، وليست بيانات JAKIM الرسمية",
+                iqamahFormat: "إقامة {prayer} بعد",
+                khutbahFormat: "تبدأ الخطبة بعد",
+                imsakCountdownFormat: "الإمساك بعد {hours}:{mins}:{secs}",
+                iftarCountdownFormat: "الإفطار بعد {hours}:{mins}:{secs}",
+                jumaatInfoFormat: "الجمعة {date} • الخطيب: {khatib} • الإمام: {imam}",
+                simulationFormat: "محاكاة • {date} {time} • x{rate}{muted}",
+                simulationMuted: " • الصوت مكتوم",
+                integrationNoTargets: "لم يُضبط webhook أو MQTT",
+                integrationTesting: "جارٍ الاختبار...",
+                integrationOk: "نجح",
+                integrationFailed: "فشل",
+                pinIncorrect: "رمز PIN غير صحيح",
+                settingsSaved: "تم حفظ الإعدادات",
+                settingsImported: "تم استيراد الإعدادات",
+                settingsImportError: "ملف إعدادات غير صالح: {error}",
+                settingsOverridden: "مضبوط من الرابط لهذه الشاشة: {fields}",
+                csvImported: "تم استيراد CSV: {days} يوماً للمنطقة {zone}",
+                csvImportError: "تعذّر استيراد CSV: {error}",
+                audioSettingsSaved: "تم حفظ إعدادات الصوت",
+                audioLeadInvalid: "{prayer}: يجب أن يكون وقت التلاوة بين 0 و120 دقيقة",
+                audioFileRequired: "{prayer}: ملف الصوت مطلوب",
+                audioFileNotFound: "ملف الصوت غير موجود: {file}",
+                timetableTitle: "مواقيت الصلاة {month} {year} · {zone}",
+                timetableSource: "المصدر: {source}",
+                timetableDate: "التاريخ",
+                timetableDay: "اليوم",
+                timetableHijri: "الهجري",
+                exportDatesRequired: "اختر تاريخ البداية والنهاية",
+                exportRangeOrder: "يجب أن يكون تاريخ البداية قبل تاريخ النهاية",
+                exportRangeTooLong: "أقصى مدة للتصدير {days} يوماً",
+                exportFormatInvalid: "صيغة تصدير غير صالحة: {format}",
+                zoneInvalid: "منطقة غير صالحة: {zone}",
+                exported: "تم التصدير: {days} يوماً",
+                exportError: "تعذّر التصدير: {error}"
+            }
+        },
+
+        // Malay in Jawi script
+        jawi: {
+            name: "Jawi",
+            lang: "ms-Arab",
+            dir: "rtl",
+            digits: null,
+            ampm: ["ڤاݢي", "ڤتڠ"],
+            prayers: {
+                "Imsak": "امساك", "Subuh": "صبح", "Syuruk": "شروق", "Zohor": "ظهر",
+                "Asar": "عصر", "Maghrib": "مغرب", "Isyak": "عشاء", "Jumaat": "جمعة"
+            },
+            days: ["احد", "اثنين", "ثلاث", "رابو", "خميس", "جمعة", "سبتو"],
+            months: ["جانواري", "فيبرواري", "مچ", "اڤريل", "مي", "جون", "جولاي", "اوݢوس", "سيڤتيمبر", "اوکتوبر", "نوۏيمبر", "ديسيمبر"],
+            hijriMonths: [
+                "محرم", "صفر", "ربيع الاول", "ربيع الاخير", "جمادالاول", "جمادالاخير",
+                "رجب", "شعبان", "رمضان", "شوال", "ذوالقعده", "ذوالحجه"
+            ],
+            dateFormat: "{day}، {date} {month} {year}",
+            hijriFormat: "{day} {month} {year}هـ",
+            messages: {
+                startTitle: "🕌 جم وقتو صلاة",
+                startSubtitle: "کليک دمان٢ اونتوق مولا",
+                loading: "ممواتکن داتا وقتو صلاة...",
+                detecting: "مڠسن لوکاسي...",
+                allPrayersComplete: "سموا وقتو صلاة اونتوق هاري اين تله سلساي.",
+                nextPrayerFormat: "وقتو صلاة ({prayer}) دالم {hours}:{mins}:{secs}",
+                hijriDateFormat: "تاريخ هجرية: {date}",
+                audioError: "رالت ممينکن اوديو",
+                apiError: "ݢاݢل منداڤتکن داتا وقتو صلاة.",
+                gpsError: "ݢاݢل مڠسن لوکاسي. مڠݢوناکن زون لالاي.",
+                noDataFound: "تيادا داتا وقتو صلاة دجومڤاي اونتوق تاريخ اين",
+                storageFull: "ستوران ڤنوه. داتا وقتو صلاة تيدق داڤت دسيمڤن اونتوق کݢوناٴن لوار تالين.",
+                calculatedNotice: "⚠ وقتو دکيرا سچارا تمڤتن (اڠݢرن)، بوکن داتا رسمي JAKIM",
+                initError: "رالت ممولاکن اڤليکاسي. سيلا سمق سمبوڠن اينترنيت دان موات سمولا هلامن.",
+                appError: "رالت اڤليکاسي. چوبا موات سمولا هلامن جک مسئله برتروسن.",
+                systemError: "رالت سيستم. سيلا سمق سمبوڠن اينترنيت.",
+                refreshError: "ݢاݢل مڽݢرکن داتا",
+                geolocationUnsupported: "ݢيولوکاسي تيدق دسوکوڠ اوليه ڤلاير اين.",
+                locationDetectedFormat: "لوکاسي دکسن: زون {zone}",
+                dataSourceFormat: "سومبر: {source}",
+                savedDataFormat: "داتا ترسيمڤن ({source})",
+                offline: "لوار تالين",
+                iqamahFormat: "اقامة {prayer} دالم",
+                khutbahFormat: "خطبة برمولا دالم",
+                imsakCountdownFormat: "امساك دالم {hours}:{mins}:{secs}",
+                iftarCountdownFormat: "بربوک دالم {hours}:{mins}:{secs}",
+                jumaatInfoFormat: "جمعة {date} • خطيب: {khatib} • امام: {imam}",
+                simulationFormat: "سيمولاسي • {date} {time} • x{rate}{muted}",
+                simulationMuted: " • اوديو سڽڤ",
+                integrationNoTargets: "تيادا webhook اتاو MQTT دتتڤکن",
+                integrationTesting: "مڠوجي...",
+                integrationOk: "برجاي",
+                integrationFailed: "ݢاݢل",
+                pinIncorrect: "PIN ساله",
+                settingsSaved: "تتڤن دسيمڤن",
+                settingsImported: "تتڤن دايمڤورت",
+                settingsImportError: "فايل تتڤن تيدق سه: {error}",
+                settingsOverridden: "دتتڤکن اوليه URL اونتوق سکرين اين: {fields}",
+                csvImported: "CSV دايمڤورت: {days} هاري اونتوق زون {zone}",
+                csvImportError: "ݢاݢل مڠايمڤورت CSV: {error}",
+                audioSettingsSaved: "تتڤن اوديو دسيمڤن",
+                audioLeadInvalid: "{prayer}: ماس باچاٴن مستي 0-120 مينيت",
+                audioFileRequired: "{prayer}: فايل اوديو دڤرلوکن",
+                audioFileNotFound: "فايل اوديو تيدق دجومڤاي: {file}",
+                timetableTitle: "وقتو صلاة {month} {year} · {zone}",
+                timetableSource: "سومبر: {source}",
+                timetableDate: "تاريخ",
+                timetableDay: "هاري",
+                timetableHijri: "هجرية",
+                exportDatesRequired: "سيلا ڤيليه تاريخ مولا دان اخير",
+                exportRangeOrder: "تاريخ مولا مستي سبلوم تاريخ اخير",
+                exportRangeTooLong: "جولت ايکسڤورت مکسيموم {days} هاري",
+                exportFormatInvalid: "فورمت ايکسڤورت تيدق سه: {format}",
+                zoneInvalid: "زون تيدق سه: {zone}",
+                exported: "دايکسڤورت: {days} هاري",
+                exportError: "ݢاݢل مڠايکسڤورت: {error}"
+            }
+        }
+    };
+
+    /**
+     * Locale for a language code, with missing messages taken from the default (Malay) locale
+     */
+    function getLocale(language) {
+        const base = LOCALES[DEFAULT_LANGUAGE];
+        const locale = LOCALES[language] || base;
+        return {
+            ...base,
+            ...locale,
+            id: LOCALES[language] ? language : DEFAULT_LANGUAGE,
+            prayers: { ...base.prayers, ...locale.prayers },
+            messages: { ...base.messages, ...locale.messages }
+        };
+    }
+
+    /**
+     * Replace 0-9 with the locale's digits (unchanged for locales using 0-9)
+     */
+    function toLocaleDigits(text, locale) {
+        const digits = locale && DIGITS[locale.digits];
+        if (!digits) return String(text);
+        return String(text).replace(/[0-9]/g, d => digits[d]);
+    }
+
+    /**
+     * "{name}" placeholders filled from values
+     */
+    function formatMessage(template, values = {}) {
+        return String(template).replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match));
+    }
+
+    return { LOCALES, DEFAULT_LANGUAGE, getLocale, toLocaleDigits, formatMessage };
+});
@@ -0,0 +1,1344 @@
+/**
+ * Prayer schedule core, shared by the browser app and Node tools
+ * No DOM access: fetching, caching, parsing and scheduling only. Loaded with a
+ * <script> tag after locales.js (window.PrayerTimesCore) or require("./prayer-core.js").
+ */
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) {
+        module.exports = factory(require("./locales.js"));
+    } else {
+        root.PrayerTimesCore = factory(root.PrayerTimesLocales);
+    }
+})(typeof self !== "undefined" ? self : this, function (Locales) {
+    "use strict";
+
+    /**
+     * IndexedDB store for monthly prayer timetables
+     * Each entry keeps its days plus metadata (fetchedAt, provider, schemaVersion) so old
+     * months and abandoned zones can be evicted. Falls back to memory when IndexedDB is unavailable.
+     */
+    class PrayerCacheStore {
+        constructor() {
+            this.DB_NAME = "prayer-times";
+            this.DB_VERSION = 1;
+            this.STORE_NAME = "months";
+            this.SCHEMA_VERSION = 1;              // Bump when the day record format changes
+            this.MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;        // Refetch after 30 days
+            this.UNUSED_ZONE_MS = 60 * 24 * 60 * 60 * 1000;    // Drop zones untouched for 60 days
+            this.LEGACY_KEY_PATTERN = /^prayer_times_([A-Z]{3}\d{2})_(\d{4})_(\d{1,2})$/;
+
+            this.db = null;
+            this.memory = new Map(); // Used when IndexedDB cannot be opened
+            // Zones and month on screen, kept when making room for a new month (see setActive())
+            this.active = { zones: [], year: null, month: null };
+        }
+
+        /**
+         * Open the database and import any timetables still held in localStorage
+         */
+        async open() {
+            if (this.db) return;
+
+            if (typeof indexedDB === "undefined") {
+                console.warn("IndexedDB not available, caching prayer data in memory only");
+            } else {
+                try {
+                    this.db = await new Promise((resolve, reject) => {
+                        const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+                        request.onupgradeneeded = () => {
+                            const store = request.result.createObjectStore(this.STORE_NAME, { keyPath: "key" });
+                            store.createIndex("zone", "zone");
+                        };
+                        request.onsuccess = () => resolve(request.result);
+                        request.onerror = () => reject(request.error);
+                    });
+                } catch (error) {
+                    console.warn("Failed to open IndexedDB, caching prayer data in memory only:", error);
+                }
+            }
+
+            // Ask the browser not to clear our data under storage pressure
+            if (typeof navigator !== "undefined" && navigator.storage && navigator.storage.persist) {
+                navigator.storage.persist().catch(() => { });
+            }
+
+            await this.migrateFromLocalStorage();
+        }
+
+        /**
+         * Move prayer_times_{zone}_{year}_{month} localStorage entries into the store
+         */
+        async migrateFromLocalStorage() {
+            if (typeof localStorage === "undefined") return;
+
+            const legacyKeys = [];
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (key && this.LEGACY_KEY_PATTERN.test(key)) legacyKeys.push(key);
+            }
+
+            for (const key of legacyKeys) {
+                const [, zone, year, month] = key.match(this.LEGACY_KEY_PATTERN);
+                try {
+                    const parsed = JSON.parse(localStorage.getItem(key));
+                    // Oldest format is the raw API array, later ones { provider, days }
+                    const days = Array.isArray(parsed) ? parsed : parsed && parsed.days;
+                    const provider = Array.isArray(parsed) ? "api-v1" : parsed && parsed.provider;
+
+                    if (Array.isArray(days) && days.length > 0) {
+                        // Unknown fetch time: mark as expired so it is refreshed when online
+                        await this.put(zone, Number(year), Number(month), days, provider, 0);
+                    }
+                    localStorage.removeItem(key);
+                    console.log(`Migrated ${key} from localStorage to IndexedDB`);
+                } catch (error) {
+                    console.warn(`Failed to migrate ${key}:`, error);
+                }
+            }
+        }
+
+        /**
+         * Get a cached month, or null if missing or written by an older schema
+         */
+        async get(zone, year, month) {
+            const entry = await this.request("readonly", store => store.get(this.makeKey(zone, year, month)));
+            if (!entry || entry.schemaVersion !== this.SCHEMA_VERSION) return null;
+
+            // Track use so zones that are still displayed aren't evicted
+            entry.lastUsedAt = Date.now();
+            this.request("readwrite", store => store.put(entry)).catch(() => { });
+            return entry;
+        }
+
+        /**
+         * Set the zones and month in use, e.g. { zones: ["JHR04", "SBH07"], year: 2025, month: 3 }
+         */
+        setActive({ zones = [], year = null, month = null }) {
+            this.active = { zones: [...zones], year, month };
+        }
+
+        /**
+         * Store a month. On quota errors, evict other zones and older months, then retry once.
+         * The active zones (setActive()) and the month being stored are always kept.
+         */
+        async put(zone, year, month, days, provider, fetchedAt = Date.now()) {
+            const entry = {
+                key: this.makeKey(zone, year, month),
+                zone,
+                year,
+                month,
+                days,
+                provider,
+                fetchedAt,
+                lastUsedAt: Date.now(),
+                schemaVersion: this.SCHEMA_VERSION
+            };
+
+            try {
+                await this.request("readwrite", store => store.put(entry));
+            } catch (error) {
+                if (!this.isQuotaError(error)) throw error;
+
+                console.warn("Storage quota exceeded, evicting old timetables and retrying", error);
+                const active = this.active;
+                await this.evict({
+                    zones: [...new Set([zone, ...active.zones])],
+                    year: active.year || year,
+                    month: active.month || month,
+                    aggressive: true
+                });
+                await this.request("readwrite", store => store.put(entry));
+            }
+        }
+
+        /**
+         * Whether an entry is older than the refresh age
+         */
+        isExpired(entry) {
+            return Date.now() - entry.fetchedAt > this.MAX_AGE_MS;
+        }
+
+        /**
+         * List cached months without their day arrays
+         */
+        async list() {
+            const entries = await this.request("readonly", store => store.getAll());
+            return entries
+                .map(({ days, ...meta }) => ({ ...meta, dayCount: days.length }))
+                .sort((a, b) => a.key.localeCompare(b.key));
+        }
+
+        /**
+         * Delete cached months, optionally only for one zone. Returns the number removed.
+         */
+        async clear(zone = null) {
+            const entries = await this.list();
+            const targets = entries.filter(entry => !zone || entry.zone === zone);
+            for (const entry of targets) {
+                await this.request("readwrite", store => store.delete(entry.key));
+            }
+            return targets.length;
+        }
+
+        /**
+         * Eviction policy:
+         * - months before the previous month are removed
+         * - zones not in `zones` and unused for UNUSED_ZONE_MS are removed
+         * - aggressive mode (quota pressure) keeps only the current and later months of `zones`
+         */
+        async evict({ zones = [], year, month, aggressive = false }) {
+            const entries = await this.list();
+            const current = year * 12 + (month - 1);
+            const now = Date.now();
+
+            const stale = entries.filter(entry => {
+                const index = entry.year * 12 + (entry.month - 1);
+                const activeZone = zones.includes(entry.zone);
+
+                if (aggressive) {
+                    return !activeZone || index < current;
+                }
+                return index < current - 1 ||
+                    entry.schemaVersion !== this.SCHEMA_VERSION ||
+                    (!activeZone && now - entry.lastUsedAt > this.UNUSED_ZONE_MS);
+            });
+
+            for (const entry of stale) {
+                await this.request("readwrite", store => store.delete(entry.key));
+            }
+
+            if (stale.length > 0) {
+                console.log(`Evicted ${stale.length} cached months:`, stale.map(entry => entry.key));
+            }
+            return stale.length;
+        }
+
+        makeKey(zone, year, month) {
+            return `${zone}_${year}_${month}`;
+        }
+
+        isQuotaError(error) {
+            return !!error && (error.name === "QuotaExceededError" || error.code === 22);
+        }
+
+        /**
+         * Run one object store request and resolve with its result
+         */
+        request(mode, operation) {
+            if (!this.db) {
+                return Promise.resolve(this.memoryRequest(operation));
+            }
+
+            return new Promise((resolve, reject) => {
+                const transaction = this.db.transaction(this.STORE_NAME, mode);
+                const request = operation(transaction.objectStore(this.STORE_NAME));
+                transaction.oncomplete = () => resolve(request.result);
+                transaction.onerror = () => reject(transaction.error || request.error);
+                transaction.onabort = () => reject(transaction.error || request.error);
+            });
+        }
+
+        /**
+         * Minimal object store stand-in backed by a Map
+         */
+        memoryRequest(operation) {
+            const memory = this.memory;
+            const clone = value => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+            const store = {
+                get: key => ({ result: clone(memory.get(key)) }),
+                getAll: () => ({ result: Array.from(memory.values()).map(clone) }),
+                put: entry => { memory.set(entry.key, clone(entry)); return { result: entry.key }; },
+                delete: key => { memory.delete(key); return { result: undefined }; }
+            };
+            return operation(store).result;
+        }
+    }
+
+    /**
+     * Local prayer time calculation (sun position) using JAKIM conventions
+     * Used when no provider, cache or CSV has data for the month. Results are approximate:
+     * each zone is represented by one reference point and elevation is ignored.
+     */
+    class PrayerTimeCalculator {
+        constructor() {
+            // Note: at 20° Subuh comes out ~8-9 minutes earlier than the bundled JAKIM CSV,
+            // which lines up with an angle nearer 18° (see compareCalculatedWithCSV())
+            this.PARAMS = {
+                fajrAngle: 20,          // Subuh
+                ishaAngle: 18,          // Isyak
+                sunriseAngle: 0.833,    // Syuruk / Maghrib (refraction + solar radius)
+                asrShadowFactor: 1,     // Shafi'i
+                imsakMinutes: 10,       // Imsak before Subuh
+                timezone: 8,
+                // Ihtiyati (safety) minutes added before rounding up to the next minute
+                ihtiyati: { fajr: 0, syuruk: -1, dhuhr: 1, asr: 0, maghrib: 0, isha: 0 }
+            };
+
+            // Reference coordinates [latitude, longitude] per JAKIM zone
+            this.ZONE_COORDINATES = {
+                JHR01: [2.4500, 104.5200], JHR02: [1.4927, 103.7414], JHR03: [2.0251, 103.3328], JHR04: [2.0442, 102.5689],
+                KDH01: [6.1248, 100.3678], KDH02: [5.6470, 100.4877], KDH03: [6.2568, 100.6115], KDH04: [5.6768, 100.9172],
+                KDH05: [5.3650, 100.5617], KDH06: [6.3500, 99.8000], KDH07: [5.7870, 100.4330],
+                KTN01: [6.1254, 102.2381], KTN02: [4.8823, 101.9644],
+                MLK01: [2.1896, 102.2501],
+                NGS01: [2.4701, 102.2302], NGS02: [2.7389, 102.2487], NGS03: [2.7259, 101.9424],
+                PHG01: [2.7906, 104.1695], PHG02: [3.8077, 103.3260], PHG03: [3.4500, 102.4167], PHG04: [3.7932, 101.8576],
+                PHG05: [3.3667, 101.7833], PHG06: [4.4718, 101.3766], PHG07: [2.8100, 103.4900],
+                PRK01: [4.1972, 101.2610], PRK02: [4.5975, 101.0901], PRK03: [5.4333, 101.1167], PRK04: [5.4000, 101.3000],
+                PRK05: [4.0259, 101.0213], PRK06: [4.8500, 100.7333], PRK07: [4.8620, 100.7930],
+                PLS01: [6.4414, 100.1986],
+                PNG01: [5.4141, 100.3288],
+                SBH01: [5.8402, 118.1179], SBH02: [5.8939, 117.5594], SBH03: [5.0268, 118.3270], SBH04: [4.2448, 117.8912],
+                SBH05: [6.8837, 116.8477], SBH06: [6.0750, 116.5583], SBH07: [5.9804, 116.0735], SBH08: [5.3378, 116.1602],
+                SBH09: [5.3473, 115.7455],
+                SWK01: [4.7500, 115.0000], SWK02: [4.3995, 113.9914], SWK03: [3.1713, 113.0419], SWK04: [2.2870, 111.8305],
+                SWK05: [2.1271, 111.5182], SWK06: [1.2376, 111.4621], SWK07: [1.1667, 110.5667], SWK08: [1.5533, 110.3592],
+                SWK09: [1.5000, 110.1000],
+                SGR01: [3.0733, 101.5185], SGR02: [3.3397, 101.2497], SGR03: [3.0449, 101.4456],
+                TRG01: [5.3302, 103.1408], TRG02: [5.7362, 102.4900], TRG03: [5.0737, 103.0124], TRG04: [4.2333, 103.4167],
+                WLY01: [3.1390, 101.6869], WLY02: [5.2831, 115.2308]
+            };
+
+            this.MONTHS_EN = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+        }
+
+        hasZone(zone) {
+            return !!this.ZONE_COORDINATES[zone];
+        }
+
+        /**
+         * Calculate every day of a month for a zone, as internal day records
+         */
+        calculateMonth(zone, year, month) {
+            const daysInMonth = new Date(year, month, 0).getDate();
+            const days = [];
+            for (let day = 1; day <= daysInMonth; day++) {
+                days.push(this.calculateDay(zone, year, month, day));
+            }
+            return days;
+        }
+
+        /**
+         * Calculate one day: { date: "05-Apr-2025", hijri, imsak, fajr, syuruk, dhuhr, asr, maghrib, isha }
+         */
+        calculateDay(zone, year, month, day) {
+            const coords = this.ZONE_COORDINATES[zone];
+            if (!coords) {
+                throw new Error(`No reference coordinates for zone ${zone}`);
+            }
+
+            const [lat, lng] = coords;
+            const minutes = this.computeTimes(year, month, day, lat, lng);
+            const record = {
+                date: `${String(day).padStart(2, '0')}-${this.MONTHS_EN[month - 1]}-${year}`,
+                hijri: this.estimateHijriDate(year, month, day)
+            };
+
+            Object.keys(minutes).forEach(field => {
+                const value = Math.ceil(minutes[field] + this.PARAMS.ihtiyati[field]);
+                record[field] = this.formatMinutes(value);
+                if (field === "fajr") {
+                    record.imsak = this.formatMinutes(value - this.PARAMS.imsakMinutes);
+                }
+            });
+
+            return record;
+        }
+
+        /**
+         * Local-time minutes after midnight for each prayer (before ihtiyati and rounding)
+         */
+        computeTimes(year, month, day, lat, lng) {
+            const p = this.PARAMS;
+            // Julian date at local midnight, expressed relative to the zone's longitude
+            const jdBase = this.julianDate(year, month, day) - lng / (15 * 24);
+            const sunAt = hours => this.sunPosition(jdBase + hours / 24);
+            const transit = hours => 12 - sunAt(hours).equation;
+            const hourAngle = (angle, hours) => {
+                const { declination } = sunAt(hours);
+                const cosH = (-Math.sin(this.rad(angle)) - Math.sin(this.rad(declination)) * Math.sin(this.rad(lat))) /
+                    (Math.cos(this.rad(declination)) * Math.cos(this.rad(lat)));
+                return this.deg(Math.acos(Math.min(1, Math.max(-1, cosH)))) / 15;
+            };
+            const asrAngle = hours => {
+                const { declination } = sunAt(hours);
+                return -this.deg(Math.atan(1 / (p.asrShadowFactor + Math.tan(this.rad(Math.abs(lat - declination))))));
+            };
+
+            // Start from rough guesses and refine with the sun position at each estimate
+            let t = { fajr: 5, syuruk: 6, dhuhr: 12, asr: 13, maghrib: 18, isha: 18 };
+            for (let i = 0; i < 2; i++) {
+                t = {
+                    fajr: transit(t.fajr) - hourAngle(p.fajrAngle, t.fajr),
+                    syuruk: transit(t.syuruk) - hourAngle(p.sunriseAngle, t.syuruk),
+                    dhuhr: transit(t.dhuhr),
+                    asr: transit(t.asr) + hourAngle(asrAngle(t.asr), t.asr),
+                    maghrib: transit(t.maghrib) + hourAngle(p.sunriseAngle, t.maghrib),
+                    isha: transit(t.isha) + hourAngle(p.ishaAngle, t.isha)
+                };
+            }
+
+            // Local solar time -> zone time
+            const minutes = {};
+            Object.keys(t).forEach(field => {
+                minutes[field] = (t[field] + p.timezone - lng / 15) * 60;
+            });
+            return minutes;
+        }
+
+        /**
+         * Sun declination (degrees) and equation of time (hours) for a Julian date
+         */
+        sunPosition(jd) {
+            const d = jd - 2451545.0;
+            const g = this.fixAngle(357.529 + 0.98560028 * d);
+            const q = this.fixAngle(280.459 + 0.98564736 * d);
+            const l = this.fixAngle(q + 1.915 * Math.sin(this.rad(g)) + 0.020 * Math.sin(this.rad(2 * g)));
+            const e = 23.439 - 0.00000036 * d;
+
+            const rightAscension = this.fixHour(this.deg(Math.atan2(Math.cos(this.rad(e)) * Math.sin(this.rad(l)), Math.cos(this.rad(l)))) / 15);
+            const declination = this.deg(Math.asin(Math.sin(this.rad(e)) * Math.sin(this.rad(l))));
+            let equation = q / 15 - rightAscension;
+            equation = this.fixHour(equation + 12) - 12;
+
+            return { declination, equation };
+        }
+
+        julianDate(year, month, day) {
+            if (month <= 2) {
+                year -= 1;
+                month += 12;
+            }
+            const a = Math.floor(year / 100);
+            const b = 2 - a + Math.floor(a / 4);
+            return Math.floor(365.25 * (year + 4716)) + Math.floor(30.6001 * (month + 1)) + day + b - 1524.5;
+        }
+
+        /**
+         * Approximate Hijri date (YYYY-MM-DD) from the Umm al-Qura calendar; may differ from
+         * Malaysia's official date by a day. Empty string if the browser lacks Islamic calendars.
+         */
+        estimateHijriDate(year, month, day) {
+            try {
+                const formatter = new Intl.DateTimeFormat("en-u-ca-islamic-umalqura-nu-latn", {
+                    day: "numeric", month: "numeric", year: "numeric", timeZone: "UTC"
+                });
+                const parts = {};
+                formatter.formatToParts(new Date(Date.UTC(year, month - 1, day))).forEach(part => {
+                    parts[part.type] = part.value;
+                });
+                if (!parts.year || !parts.month || !parts.day) return "";
+                return `${parts.year}-${parts.month.padStart(2, '0')}-${parts.day.padStart(2, '0')}`;
+            } catch (e) {
+                return "";
+            }
+        }
+
+        formatMinutes(totalMinutes) {
+            const wrapped = ((totalMinutes % 1440) + 1440) % 1440;
+            const hour = Math.floor(wrapped / 60);
+            const minute = wrapped % 60;
+            return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}:00`;
+        }
+
+        rad(degrees) { return degrees * Math.PI / 180; }
+        deg(radians) { return radians * 180 / Math.PI; }
+        fixAngle(a) { return ((a % 360) + 360) % 360; }
+        fixHour(h) { return ((h % 24) + 24) % 24; }
+    }
+
+    /**
+     * Malaysia wall-clock service (Asia/Kuala_Lumpur, fixed UTC+8, no DST)
+     * Times are real instants; calendar days are plain local-midnight Dates holding the
+     * Malaysian year/month/day, so results don't depend on the device timezone.
+     * The time source can be swapped for a fixed or offset clock (testing, kiosks with a wrong RTC).
+     */
+    class PrayerClock {
+        constructor(utcOffsetMin = 8 * 60) {
+            this.TIME_ZONE = "Asia/Kuala_Lumpur";
+            this.UTC_OFFSET_MS = utcOffsetMin * 60 * 1000;
+            this.source = () => Date.now();
+            this.rate = 1; // Clock seconds per real second (simulation runs faster)
+        }
+
+        /**
+         * Current instant
+         */
+        now() {
+            return new Date(this.source());
+        }
+
+        /**
+         * Always return the given time (Date, ms or ISO string)
+         */
+        useFixedTime(time) {
+            const fixedMs = new Date(time).getTime();
+            if (isNaN(fixedMs)) throw new Error(`Invalid time: ${time}`);
+            this.source = () => fixedMs;
+            this.rate = 1;
+        }
+
+        /**
+         * Run ahead of (or behind) the device clock by offsetMs
+         */
+        useOffset(offsetMs) {
+            this.source = () => Date.now() + offsetMs;
+            this.rate = 1;
+        }
+
+        /**
+         * Start at the given time and run rate times faster than real time
+         */
+        useSimulatedTime(start, rate) {
+            const startMs = new Date(start).getTime();
+            if (isNaN(startMs)) throw new Error(`Invalid time: ${start}`);
+            const realStart = Date.now();
+            this.source = () => startMs + (Date.now() - realStart) * rate;
+            this.rate = rate;
+        }
+
+        /**
+         * Back to the device clock
+         */
+        useSystemTime() {
+            this.source = () => Date.now();
+            this.rate = 1;
+        }
+
+        /**
+         * Malaysian wall-clock components of an instant (month is 0-11, like Date)
+         */
+        parts(instant = this.now()) {
+            const shifted = new Date(new Date(instant).getTime() + this.UTC_OFFSET_MS);
+            return {
+                year: shifted.getUTCFullYear(),
+                month: shifted.getUTCMonth(),
+                day: shifted.getUTCDate(),
+                hour: shifted.getUTCHours(),
+                minute: shifted.getUTCMinutes(),
+                second: shifted.getUTCSeconds(),
+                weekday: shifted.getUTCDay()
+            };
+        }
+
+        /**
+         * Malaysian calendar day of an instant, as a local-midnight Date
+         */
+        today(instant = this.now()) {
+            const { year, month, day } = this.parts(instant);
+            return new Date(year, month, day);
+        }
+
+        /**
+         * Calendar day a number of days after the given one
+         */
+        addDays(date, days) {
+            return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+        }
+
+        /**
+         * Instant (ms) of a Malaysian wall-clock time on a calendar day
+         */
+        instant(date, hour, minute, second = 0) {
+            return Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), hour, minute, second) - this.UTC_OFFSET_MS;
+        }
+
+        /**
+         * "HH:mm:ss" Malaysian time of an instant
+         */
+        formatTime(instant) {
+            const { hour, minute, second } = this.parts(instant);
+            return [hour, minute, second].map(n => String(n).padStart(2, '0')).join(":");
+        }
+    }
+
+    /**
+     * DOM-free prayer schedule core: providers, day records, time parsing and
+     * next prayer/event computation. The browser app (script.js) and Node tools share it.
+     */
+    class PrayerCore {
+        constructor(options = {}) {
+            // Constants - Updated to match CSV format (Imsak included for data but not display)
+            this.PRAYER_NAMES = ["Imsak", "Subuh", "Syuruk", "Zohor", "Asar", "Maghrib", "Isyak"];
+            this.DISPLAY_PRAYER_NAMES = ["Subuh", "Syuruk", "Zohor", "Asar", "Maghrib", "Isyak"]; // For table display only
+            this.RECITATION_OFFSET_MIN = 10; // Default recitation lead time, see DEFAULT_AUDIO_SCHEDULE
+            this.IMSAK_OFFSET_MIN = 10; // Used when the data source has no Imsak time
+            this.RAMADAN_HIJRI_MONTH = 9;
+            this.MALAYSIA_UTC_OFFSET_MIN = 8 * 60;
+
+            // JAKIM CSV columns -> API day record fields
+            this.API_FIELD_NAMES = {
+                "Imsak": "imsak",
+                "Subuh": "fajr",
+                "Syuruk": "syuruk",
+                "Zohor": "dhuhr",
+                "Asar": "asr",
+                "Maghrib": "maghrib",
+                "Isyak": "isha"
+            };
+
+            // Prayer data providers, tried in order until one returns a valid month
+            this.API_BASE_URL = "https://api.waktusolat.app";
+            this.PROVIDER_ORDER = options.providerOrder || ["api-v1", "api-v2", "mirror", "csv", "calculated"];
+            this.MIRROR_URL = options.mirrorUrl || ""; // e.g. "http://192.168.1.10/solat/{zone}?year={year}&month={month}"
+            this.FETCH_TIMEOUT = 10000;
+
+            // Per-prayer audio: recitation before and adhan at prayer time
+            this.DEFAULT_AUDIO_SCHEDULE = {};
+            this.DISPLAY_PRAYER_NAMES.forEach(name => {
+                const audioName = name.toLowerCase();
+                this.DEFAULT_AUDIO_SCHEDULE[name] = {
+                    recite: { enabled: true, file: `${audioName}_recite.mp3`, leadMin: this.RECITATION_OFFSET_MIN, volume: 1 },
+                    adhan: { enabled: true, file: `${audioName}_adhan.mp3`, volume: 1 }
+                };
+            });
+
+            // Friday: Zohor becomes Jumaat with its own audio and a second adhan before the khutbah
+            this.DEFAULT_JUMAAT_SETTINGS = {
+                enabled: true,
+                khutbahOffsetMin: 10, // Second adhan and khutbah start, minutes after Zohor time
+                tarhim: { enabled: true, file: "zohor_recite.mp3", leadMin: 15, volume: 1 },
+                firstAdhan: { enabled: true, file: "zohor_adhan.mp3", volume: 1 },
+                secondAdhan: { enabled: true, file: "zohor_adhan.mp3", volume: 1 }
+            };
+
+            // Ramadan: sahur wake-up and Imsak alert
+            this.DEFAULT_RAMADAN_SETTINGS = {
+                mode: "auto", // "auto" (Hijri month 9), "on" or "off"
+                sahur: { enabled: false, time: "04:30", file: "sahur.mp3", volume: 1 },
+                imsakAlert: { enabled: true, file: "imsak_siren.mp3", volume: 1 } // Beeps if file missing
+            };
+
+            // Iqamah after each adhan, minutes per prayer (0 = no iqamah phase)
+            this.DEFAULT_IQAMAH_SETTINGS = {
+                offsets: { "Subuh": 20, "Zohor": 10, "Asar": 10, "Maghrib": 7, "Isyak": 10 },
+                alert: true,            // Sound an alert when iqamah is due
+                audioFile: "iqamah.mp3" // Played if present, otherwise a generated beep
+            };
+
+            // Day/month names of the data formats: day records ("Day"), API dates (monthsEn)
+            // and JAKIM CSV Hijri dates. Names shown on screen come from the locale.
+            this.calendar = {
+                days: ["Ahad", "Isnin", "Selasa", "Rabu", "Khamis", "Jumaat", "Sabtu"],
+                monthsEn: ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"],
+                // Hijri month abbreviations used in JAKIM CSV exports (01-Rej-1446)
+                bulan_islam_csv: ["Muh", "Saf", "Raw", "Rak", "Jaw", "Jak", "Rej", "Syb", "Ram", "Syw", "Zkh", "Zhj"]
+            };
+
+            // Default display language for formatted text (see locales.js)
+            this.locale = Locales.getLocale(options.language || Locales.DEFAULT_LANGUAGE);
+
+            this.clock = options.clock || new PrayerClock(this.MALAYSIA_UTC_OFFSET_MIN);
+            this.calculator = new PrayerTimeCalculator();
+            this.cacheStore = options.cacheStore || new PrayerCacheStore();
+            this.providers = this.createProviders();
+
+            // Key format: "zone_year_month" -> array of days
+            this.monthlyPrayerData = {};
+            // Same key format -> id of the provider that served the month
+            this.monthlySources = {};
+            // Same key format, filled from JAKIM CSV files (bundled or imported)
+            this.csvPrayerData = {};
+        }
+
+        /**
+         * Load a month from the cache or the first working provider into monthlyPrayerData.
+         * Resolves to { days, provider, cacheError, failures, stale }: cacheError is set when the month
+         * couldn't be stored, failures lists providers tried first ("id: message"), stale marks an expired cache entry
+         */
+        async fetchPrayerData(zone, year, month) {
+            const monthKey = `${zone}_${year}_${month}`;
+            const cached = await this.cacheStore.get(zone, year, month);
+
+            if (cached && !this.cacheStore.isExpired(cached)) {
+                console.log(`Loading prayer data from cache for ${zone} ${month}/${year}`);
+                return this.useMonthData(monthKey, cached.days, cached.provider);
+            }
+
+            const failures = [];
+
+            for (const id of this.PROVIDER_ORDER) {
+                const provider = this.providers[id];
+                if (!provider) {
+                    console.warn(`Unknown prayer data provider: ${id}`);
+                    continue;
+                }
+
+                try {
+                    console.log(`Fetching prayer data from ${id} for ${zone} ${month}/${year}`);
+                    const days = await provider.fetchMonth(zone, year, month);
+                    this.validateDays(days);
+                    const result = { ...this.useMonthData(monthKey, days, id), failures };
+
+                    // Cache it (local sources are already on the device)
+                    if (provider.cacheable) {
+                        try {
+                            await this.cacheStore.put(zone, year, month, days, id);
+                        } catch (e) {
+                            console.warn(`Failed to cache ${monthKey}:`, e);
+                            result.cacheError = e;
+                        }
+                    }
+                    return result;
+                } catch (error) {
+                    console.warn(`Provider ${id} failed for ${zone} ${month}/${year}:`, error);
+                    failures.push(`${id}: ${error.message}`);
+                }
+            }
+
+            // An expired month is still better than nothing
+            if (cached) {
+                console.warn(`All providers failed, using expired cache for ${zone} ${month}/${year}`);
+                return { ...this.useMonthData(monthKey, cached.days, cached.provider), failures, stale: true };
+            }
+
+            throw new Error(`All providers failed for ${zone} ${month}/${year} (${failures.join("; ")})`);
+        }
+
+        /**
+         * Make a month's days available for day lookups and record its source
+         */
+        useMonthData(monthKey, days, providerId) {
+            this.monthlyPrayerData[monthKey] = days;
+            this.monthlySources[monthKey] = providerId;
+            return { days, provider: providerId, cacheError: null, failures: [], stale: false };
+        }
+
+        /**
+         * Parse CSV text and register its months for a zone. Returns number of days parsed.
+         */
+        addCSVData(zone, csvText) {
+            const days = this.parseJakimCSV(csvText);
+            const months = {};
+
+            days.forEach(day => {
+                const [, monthName, year] = day.date.split("-");
+                const month = this.calendar.monthsEn.indexOf(monthName) + 1;
+                const cacheKey = `${zone}_${year}_${month}`;
+
+                if (!months[cacheKey]) months[cacheKey] = [];
+                months[cacheKey].push(day);
+            });
+
+            // A newer CSV replaces whole months rather than appending duplicate days
+            Object.assign(this.csvPrayerData, months);
+            return days.length;
+        }
+
+        /**
+         * A zone's day record for a date from loaded month data, or null
+         */
+        getDayRecord(zone, date) {
+            const monthData = this.monthlyPrayerData[`${zone}_${date.getFullYear()}_${date.getMonth() + 1}`];
+            if (!monthData) return null;
+
+            return monthData.find(d => d.date === this.formatDateForApi(date)) || null;
+        }
+
+        /**
+         * A zone's times for a date from loaded month data, or null
+         */
+        getDayTimes(zone, date) {
+            const dayData = this.getDayRecord(zone, date);
+            return dayData ? this.buildPrayerTimes(dayData, date) : null;
+        }
+
+        /**
+         * A zone's times for a date, fetching its month first if needed (for headless use)
+         */
+        async loadDayTimes(zone, date) {
+            if (!this.monthlyPrayerData[`${zone}_${date.getFullYear()}_${date.getMonth() + 1}`]) {
+                await this.fetchPrayerData(zone, date.getFullYear(), date.getMonth() + 1);
+            }
+            return this.getDayTimes(zone, date);
+        }
+
+        /**
+         * Build the prayer data providers. Each fetchMonth() resolves to day records in the
+         * internal format: { date: "05-Apr-2025", hijri: "1446-10-06", fajr: "06:00:00", ... }
+         */
+        createProviders() {
+            return {
+                "api-v1": {
+                    label: "JAKIM",
+                    cacheable: true,
+                    fetchMonth: async (zone, year, month) => {
+                        const data = await this.fetchJson(`${this.API_BASE_URL}/solat/${zone}?year=${year}&month=${month}`);
+                        return this.normalizeProviderResponse(data, year, month);
+                    }
+                },
+                "api-v2": {
+                    label: "JAKIM v2",
+                    cacheable: true,
+                    fetchMonth: async (zone, year, month) => {
+                        const data = await this.fetchJson(`${this.API_BASE_URL}/v2/solat/${zone}?year=${year}&month=${month}`);
+                        return this.normalizeProviderResponse(data, year, month);
+                    }
+                },
+                "mirror": {
+                    label: "Mirror",
+                    cacheable: true,
+                    fetchMonth: async (zone, year, month) => {
+                        if (!this.MIRROR_URL) {
+                            throw new Error("Mirror URL not configured");
+                        }
+                        const url = this.MIRROR_URL
+                            .replace("{zone}", zone)
+                            .replace("{year}", year)
+                            .replace("{month}", month);
+                        return this.normalizeProviderResponse(await this.fetchJson(url), year, month);
+                    }
+                },
+                "csv": {
+                    label: "CSV",
+                    cacheable: false,
+                    fetchMonth: async (zone, year, month) => {
+                        const days = this.csvPrayerData[`${zone}_${year}_${month}`];
+                        if (!days) {
+                            throw new Error("No CSV timetable for this month");
+                        }
+                        return days;
+                    }
+                },
+                "calculated": {
+                    label: "Kiraan",
+                    cacheable: false,
+                    fetchMonth: async (zone, year, month) => {
+                        if (!this.calculator.hasZone(zone)) {
+                            throw new Error(`No reference coordinates for ${zone}`);
+                        }
+                        return this.calculator.calculateMonth(zone, year, month);
+                    }
+                }
+            };
+        }
+
+        /**
+         * Fetch JSON with a timeout so a hanging provider doesn't block failover
+         */
+        async fetchJson(url) {
+            const controller = typeof AbortController !== "undefined" ? new AbortController() : null;
+            const timeout = controller ? setTimeout(() => controller.abort(), this.FETCH_TIMEOUT) : null;
+
+            try {
+                const response = await fetch(url, controller ? { signal: controller.signal } : undefined);
+                if (!response.ok) throw new Error(`HTTP error ${response.status}`);
+                return await response.json();
+            } finally {
+                if (timeout) clearTimeout(timeout);
+            }
+        }
+
+        /**
+         * Normalise a v1 ({ prayerTime: [...] }) or v2 ({ prayers: [...] }) response to day records
+         */
+        normalizeProviderResponse(data, year, month) {
+            if (data && Array.isArray(data.prayerTime)) {
+                // v1: date "01-Apr-2024", times "HH:mm:ss" (status text is not relied upon)
+                return data.prayerTime.map(entry => {
+                    const day = { hijri: entry.hijri, date: entry.date };
+                    Object.values(this.API_FIELD_NAMES).forEach(field => {
+                        if (entry[field]) {
+                            const { hour, minute } = this.parseTime(entry[field]);
+                            day[field] = this.formatApiTime(hour, minute);
+                        }
+                    });
+                    return day;
+                });
+            }
+
+            if (data && Array.isArray(data.prayers)) {
+                // v2: day-of-month number, times as unix timestamps
+                return data.prayers.map(entry => {
+                    const day = {
+                        hijri: entry.hijri,
+                        date: this.formatDateForApi(new Date(year, month - 1, entry.day))
+                    };
+                    Object.values(this.API_FIELD_NAMES).forEach(field => {
+                        if (typeof entry[field] === "number") {
+                            day[field] = this.formatUnixTime(entry[field]);
+                        }
+                    });
+                    return day;
+                });
+            }
+
+            throw new Error("Invalid API response format");
+        }
+
+        /**
+         * Reject months missing dates or any of the daily prayer times
+         */
+        validateDays(days) {
+            if (!Array.isArray(days) || days.length === 0) {
+                throw new Error("No days in response");
+            }
+
+            const required = this.DISPLAY_PRAYER_NAMES.map(name => this.API_FIELD_NAMES[name]);
+            const invalid = days.find(day => !day.date || required.some(field => !day[field]));
+            if (invalid) {
+                throw new Error(`Incomplete day record: ${JSON.stringify(invalid)}`);
+            }
+        }
+
+        /**
+         * Format hour/minute as the internal "HH:mm:ss" time string
+         */
+        formatApiTime(hour, minute) {
+            return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}:00`;
+        }
+
+        /**
+         * Convert a unix timestamp (seconds) to Malaysia "HH:mm:ss"
+         */
+        formatUnixTime(timestamp) {
+            const { hour, minute } = this.clock.parts(timestamp * 1000);
+            return this.formatApiTime(hour, minute);
+        }
+
+        /**
+         * Parse JAKIM yearly CSV into the day records returned by the API
+         * (date "01-Jan-2025", hijri "1446-07-01", times "HH:mm:ss")
+         */
+        parseJakimCSV(csvText) {
+            const lines = csvText.replace(/\r/g, "").trim().split("\n");
+            if (lines.length < 2) {
+                throw new Error("CSV has no data rows");
+            }
+
+            const headers = lines[0].split(",").map(h => h.trim());
+            const required = ["Date Masihi", "Date Hijri", ...this.PRAYER_NAMES];
+            const missing = required.filter(name => !headers.includes(name));
+            if (missing.length > 0) {
+                throw new Error(`CSV missing columns: ${missing.join(", ")}`);
+            }
+
+            const days = [];
+            for (let i = 1; i < lines.length; i++) {
+                if (!lines[i].trim()) continue;
+
+                const row = lines[i].split(",").map(cell => cell.trim());
+                const value = name => row[headers.indexOf(name)];
+
+                try {
+                    const day = {
+                        hijri: this.parseCSVHijriDate(value("Date Hijri")),
+                        date: this.formatDateForApi(this.parseCSVDate(value("Date Masihi")))
+                    };
+
+                    this.PRAYER_NAMES.forEach(name => {
+                        const { hour, minute } = this.parseTime(value(name));
+                        day[this.API_FIELD_NAMES[name]] = this.formatApiTime(hour, minute);
+                    });
+
+                    days.push(day);
+                } catch (error) {
+                    console.warn(`Skipping CSV line ${i + 1}:`, error.message);
+                }
+            }
+
+            if (days.length === 0) {
+                throw new Error("CSV contains no valid rows");
+            }
+
+            return days;
+        }
+
+        /**
+         * Parse CSV Gregorian date (1-Jan-25 or 01-Jan-2025) into a Date
+         */
+        parseCSVDate(dateStr) {
+            const parts = (dateStr || "").split("-");
+            const monthIndex = parts.length === 3 ? this.calendar.monthsEn.indexOf(parts[1]) : -1;
+            const day = parseInt(parts[0], 10);
+            let year = parseInt(parts[2], 10);
+
+            if (monthIndex === -1 || isNaN(day) || isNaN(year)) {
+                throw new Error(`Invalid CSV date: "${dateStr}"`);
+            }
+            if (year < 100) year += 2000;
+
+            return new Date(year, monthIndex, day);
+        }
+
+        /**
+         * Convert CSV Hijri date (01-Rej-1446) to API format (1446-07-01)
+         */
+        parseCSVHijriDate(hijriStr) {
+            const parts = (hijriStr || "").split("-");
+            const monthIndex = parts.length === 3 ? this.calendar.bulan_islam_csv.indexOf(parts[1]) : -1;
+
+            if (monthIndex === -1) {
+                throw new Error(`Invalid CSV Hijri date: "${hijriStr}"`);
+            }
+
+            return `${parts[2]}-${String(monthIndex + 1).padStart(2, '0')}-${parts[0].padStart(2, '0')}`;
+        }
+
+        /**
+         * Format date to match API key: dd-Mon-yyyy (e.g. 05-Apr-2024)
+         */
+        formatDateForApi(date) {
+            const day = String(date.getDate()).padStart(2, '0');
+            const month = this.calendar.monthsEn[date.getMonth()];
+            const year = date.getFullYear();
+            return `${day}-${month}-${year}`;
+        }
+
+        /**
+         * Convert a day record into the display shape used by todayPrayerTimes
+         */
+        buildPrayerTimes(dayData, date) {
+            const times = {
+                "Subuh": this.fixTimeFormat(dayData.fajr),
+                "Syuruk": this.fixTimeFormat(dayData.syuruk),
+                "Zohor": this.fixTimeFormat(dayData.dhuhr),
+                "Asar": this.fixTimeFormat(dayData.asr),
+                "Maghrib": this.fixTimeFormat(dayData.maghrib),
+                "Isyak": this.fixTimeFormat(dayData.isha),
+                "Date Hijri": dayData.hijri
+            };
+
+            // Imsak from the data source, else 10 mins before Subuh
+            times["Imsak"] = dayData.imsak
+                ? this.fixTimeFormat(dayData.imsak)
+                : this.addMinutesToTime(times["Subuh"], -this.IMSAK_OFFSET_MIN);
+
+            // Day name from date object to match locale
+            times["Day"] = this.calendar.days[date.getDay()];
+            return times;
+        }
+
+        /**
+         * Ensure time is in clean format (HH:mm:ss) or (HH:mm)
+         */
+        fixTimeFormat(timeStr) {
+            if (!timeStr) return "";
+            // Extract HH:mm from HH:mm:ss
+            const parts = timeStr.split(":");
+            if (parts.length >= 2) {
+                return `${parts[0]}:${parts[1]}`;
+            }
+            return timeStr;
+        }
+
+        /**
+         * Enhanced time parsing with better error messages
+         */
+        parseTime(timeStr) {
+            if (!timeStr || typeof timeStr !== 'string') {
+                throw new Error(`Invalid time string: ${timeStr}`);
+            }
+
+            const trimmed = timeStr.trim();
+
+            // Handle API format (HH:mm:ss) or (HH:mm) - 24 hour format
+            // If it doesn't contain a space (separator for AM/PM), treat as 24h
+            if (!trimmed.includes(" ")) {
+                const timeParts = trimmed.split(":");
+                if (timeParts.length < 2) {
+                    throw new Error(`Invalid time format: "${timeStr}"`);
+                }
+
+                const hour = parseInt(timeParts[0], 10);
+                const minute = parseInt(timeParts[1], 10);
+
+                if (isNaN(hour) || isNaN(minute)) {
+                    throw new Error(`Invalid time values: "${timeStr}"`);
+                }
+
+                return { hour, minute };
+            }
+
+            // Handle Legacy format (HH:mm AM/PM)
+            const parts = trimmed.split(" ");
+            if (parts.length !== 2) {
+                throw new Error(`Invalid time format: "${timeStr}". Expected "HH:mm AM/PM" or "HH:mm:ss"`);
+            }
+
+            const [time, modifier] = parts;
+            const timeParts = time.split(":");
+
+            if (timeParts.length !== 2) {
+                throw new Error(`Invalid time format: "${timeStr}". Time part should be "HH:MM"`);
+            }
+
+            const [hourStr, minuteStr] = timeParts;
+            const hour = parseInt(hourStr, 10);
+            const minute = parseInt(minuteStr, 10);
+
+            if (isNaN(hour) || isNaN(minute)) {
+                throw new Error(`Invalid time values: "${timeStr}"`);
+            }
+
+            if (hour < 1 || hour > 12) {
+                throw new Error(`Invalid hour in 12-hour format: ${hour}`);
+            }
+
+            if (minute < 0 || minute > 59) {
+                throw new Error(`Invalid minute: ${minute}`);
+            }
+
+            if (modifier !== "AM" && modifier !== "PM") {
+                throw new Error(`Invalid time modifier: "${modifier}". Expected AM or PM`);
+            }
+
+            // Convert to 24-hour format
+            let hour24 = hour;
+            if (modifier === "PM" && hour !== 12) {
+                hour24 += 12;
+            } else if (modifier === "AM" && hour === 12) {
+                hour24 = 0;
+            }
+
+            return { hour: hour24, minute };
+        }
+
+        /**
+         * Format "HH:mm" shifted by a number of minutes (wraps around midnight)
+         */
+        addMinutesToTime(timeStr, deltaMinutes) {
+            const { hour, minute } = this.parseTime(timeStr);
+            const total = (((hour * 60 + minute + deltaMinutes) % 1440) + 1440) % 1440;
+            return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+        }
+
+        /**
+         * Format Hijri date from YYYY-MM-DD to the locale's "DD Month YYYYH"
+         */
+        formatHijriDate(hijriStr, locale = this.locale) {
+            if (!hijriStr) return "";
+
+            try {
+                // Expected format YYYY-MM-DD
+                const parts = hijriStr.split("-");
+                if (parts.length !== 3) return hijriStr; // Return original if format doesn't match
+
+                const year = parts[0];
+                const monthIndex = parseInt(parts[1], 10);
+                const day = parts[2];
+                const monthName = locale.hijriMonths[monthIndex - 1] || parts[1];
+
+                return Locales.toLocaleDigits(Locales.formatMessage(locale.hijriFormat, { day, month: monthName, year }), locale);
+            } catch (e) {
+                console.warn("Error formatting Hijri date:", e);
+                return hijriStr;
+            }
+        }
+
+        /**
+         * Find the next prayer after now in a day's times, looking ahead to the next day's Subuh after Isyak
+         */
+        findNextPrayer(todayTimes, tomorrowTimes, now) {
+            const nowMs = now.getTime();
+            const today = this.clock.today(now);
+            let nextPrayer = null;
+            let nextTimeMs = Infinity;
+
+            // Skip Imsak for next prayer calculation as it's for fasting preparation
+            const prayersForTimer = this.PRAYER_NAMES.filter(name => name !== "Imsak");
+
+            for (const name of prayersForTimer) {
+                const timeStr = todayTimes[name];
+                if (!timeStr) continue;
+
+                try {
+                    const { hour, minute } = this.parseTime(timeStr);
+                    const timeMs = this.clock.instant(today, hour, minute);
+
+                    if (timeMs > nowMs && timeMs < nextTimeMs) {
+                        nextTimeMs = timeMs;
+                        nextPrayer = name;
+                    }
+                } catch (error) {
+                    console.warn(`Error parsing time for ${name}:`, error);
+                    continue;
+                }
+            }
+
+            // After Isyak the next prayer is tomorrow's Subuh
+            if (!nextPrayer && tomorrowTimes && tomorrowTimes["Subuh"]) {
+                try {
+                    const { hour, minute } = this.parseTime(tomorrowTimes["Subuh"]);
+                    nextTimeMs = this.clock.instant(this.clock.addDays(today, 1), hour, minute);
+                    nextPrayer = "Subuh";
+                } catch (error) {
+                    console.warn("Error parsing tomorrow's Subuh time:", error);
+                }
+            }
+
+            return nextPrayer ? { prayer: nextPrayer, timeMs: nextTimeMs } : null;
+        }
+
+        /**
+         * Format time difference into hours, minutes, seconds
+         */
+        formatTimeDifference(diffMs) {
+            const totalSecs = Math.floor(diffMs / 1000);
+            const hours = Math.floor(totalSecs / 3600);
+            const mins = Math.floor((totalSecs % 3600) / 60);
+            const secs = totalSecs % 60;
+            return { hours, mins, secs };
+        }
+
+        /**
+         * CSV in the same layout as the bundled prayer_times.csv (importable again via Import CSV)
+         */
+        buildTimetableCSV(days) {
+            const header = ["Date Masihi", "Date Hijri", "Day", ...this.PRAYER_NAMES];
+
+            const rows = days.map(({ date, times }) => {
+                const [hijriYear, hijriMonth, hijriDay] = (times["Date Hijri"] || "").split("-");
+                const hijri = hijriMonth
+                    ? `${hijriDay}-${this.calendar.bulan_islam_csv[parseInt(hijriMonth, 10) - 1]}-${hijriYear}`
+                    : "";
+
+                return [
+                    `${date.getDate()}-${this.calendar.monthsEn[date.getMonth()]}-${String(date.getFullYear()).slice(-2)}`,
+                    hijri,
+                    times["Day"],
+                    ...this.PRAYER_NAMES.map(name => this.formatCSVTime(times[name]))
+                ].join(",");
+            });
+
+            return [header.join(","), ...rows].join("\r\n") + "\r\n";
+        }
+
+        /**
+         * "HH:mm" -> "h:mm AM/PM" as used in JAKIM CSV files
+         */
+        formatCSVTime(timeStr) {
+            if (!timeStr) return "";
+            const { hour, minute } = this.parseTime(timeStr);
+            const suffix = hour < 12 ? "AM" : "PM";
+            return `${hour % 12 || 12}:${String(minute).padStart(2, '0')} ${suffix}`;
+        }
+
+        /**
+         * Whether Ramadan mode applies for a Hijri date ("1446-09-01") under the given settings
+         */
+        isRamadanDay(hijriStr, settings = this.DEFAULT_RAMADAN_SETTINGS) {
+            if (!settings || settings.mode === "off") return false;
+            if (settings.mode === "on") return true;
+
+            const parts = (hijriStr || "").split("-");
+            return parts.length === 3 && parseInt(parts[1], 10) === this.RAMADAN_HIJRI_MONTH;
+        }
+
+        /**
+         * Whether a calendar day is a Friday with Jumaat mode enabled
+         */
+        isJumaatDay(date, settings = this.DEFAULT_JUMAAT_SETTINGS) {
+            return !!settings && settings.enabled && date.getDay() === 5;
+        }
+
+        /**
+         * Audio/alert events for a day, sorted by time: recitations, adhans, Jumaat second adhan,
+         * iqamah alerts, Ramadan sahur/Imsak, tomorrow's Subuh and the midnight day rollover.
+         * Each event is { id, prayer, type, timeMs, file?, volume?, alert?, required }; callers attach the action.
+         * Iqamah events are added even when iqamah.alert is off (alert: false) so integrations still get them.
+         */
+        buildDayEvents({
+            date,
+            times,
+            dateKey = this.formatDateForApi(date),
+            tomorrowTimes = {},
+            tomorrowDateKey = null,
+            audioSchedule = this.DEFAULT_AUDIO_SCHEDULE,
+            jumaat = this.DEFAULT_JUMAAT_SETTINGS,
+            iqamah = this.DEFAULT_IQAMAH_SETTINGS,
+            ramadan = this.DEFAULT_RAMADAN_SETTINGS
+        }) {
+            const events = [];
+            const add = (prayer, type, timeMs, details = {}, options = {}) => {
+                const key = options.dateKey || dateKey;
+                events.push({ id: `${key}_${prayer}_${type}`, prayer, type, timeMs, ...details, required: !!options.required });
+            };
+            const timeOf = (timeStr, offsetMin = 0, dayOffset = 0) => {
+                const { hour, minute } = this.parseTime(timeStr);
+                return this.clock.instant(this.clock.addDays(date, dayOffset), hour, minute) + offsetMin * 60 * 1000;
+            };
+            const isJumaat = this.isJumaatDay(date, jumaat);
+
+            for (const prayer of this.DISPLAY_PRAYER_NAMES) {
+                if (!times[prayer]) continue;
+
+                try {
+                    // Friday Zohor uses the Jumaat tarhim and first adhan
+                    const entry = prayer === "Zohor" && isJumaat
+                        ? { recite: jumaat.tarhim, adhan: jumaat.firstAdhan }
+                        : audioSchedule[prayer];
+                    if (entry && entry.recite.enabled) {
+                        const { file, volume } = entry.recite;
+                        add(prayer, "recite", timeOf(times[prayer], -entry.recite.leadMin), { file, volume });
+                    }
+                    if (entry && entry.adhan.enabled) {
+                        const { file, volume } = entry.adhan;
+                        add(prayer, "adhan", timeOf(times[prayer]), { file, volume });
+                    }
+
+                    if (prayer === "Zohor" && isJumaat) {
+                        // Jumaat has a second adhan before the khutbah instead of an iqamah alert
+                        const { secondAdhan, khutbahOffsetMin } = jumaat;
+                        if (secondAdhan.enabled) {
+                            const { file, volume } = secondAdhan;
+                            add(prayer, "second_adhan", timeOf(times[prayer], khutbahOffsetMin), { file, volume });
+                        }
+                    } else if (iqamah) {
+                        const offsetMin = iqamah.offsets[prayer];
+                        if (offsetMin) {
+                            add(prayer, "iqamah", timeOf(times[prayer], offsetMin), { file: iqamah.audioFile, alert: !!iqamah.alert });
+                        }
+                    }
+                } catch (error) {
+                    console.warn(`Error scheduling events for ${prayer}:`, error);
+                }
+            }
+
+            if (this.isRamadanDay(times["Date Hijri"], ramadan)) {
+                const { sahur, imsakAlert } = ramadan;
+                try {
+                    if (sahur.enabled) {
+                        add("Sahur", "alarm", timeOf(sahur.time), { file: sahur.file, volume: sahur.volume });
+                    }
+                    if (imsakAlert.enabled && times["Imsak"]) {
+                        add("Imsak", "alert", timeOf(times["Imsak"]), { file: imsakAlert.file, volume: imsakAlert.volume });
+                    }
+                } catch (error) {
+                    console.warn("Error scheduling Ramadan events:", error);
+                }
+            }
+
+            // Tomorrow's Subuh, in case the rollover below runs late (same ids as after the rollover)
+            const tomorrowSubuh = tomorrowTimes && tomorrowTimes["Subuh"];
+            const subuhEntry = audioSchedule["Subuh"];
+            if (tomorrowSubuh && subuhEntry) {
+                const options = { dateKey: tomorrowDateKey || this.formatDateForApi(this.clock.addDays(date, 1)) };
+                try {
+                    ["recite", "adhan"].forEach(type => {
+                        const { enabled, file, volume, leadMin = 0 } = subuhEntry[type];
+                        if (!enabled) return;
+                        add("Subuh", type, timeOf(tomorrowSubuh, -leadMin, 1), { file, volume }, options);
+                    });
+                } catch (error) {
+                    console.warn("Error scheduling tomorrow's Subuh:", error);
+                }
+            }
+
+            // Load the next day's times just after midnight (always runs, however late)
+            add("Day", "change", this.clock.instant(this.clock.addDays(date, 1), 0, 0, 1), {}, { required: true });
+
+            return events.sort((a, b) => a.timeMs - b.timeMs);
+        }
+
+        /**
+         * First event after now from buildDayEvents(), or null
+         */
+        findNextEvent(events, now = this.clock.now()) {
+            const nowMs = new Date(now).getTime();
+            return events.find(event => event.timeMs > nowMs) || null;
+        }
+    }
+
+    return { PrayerCore, PrayerClock, PrayerTimeCalculator, PrayerCacheStore };
+});
@@ -7,69 +7,334 @@
  * Compatible with JAKIM CSV format
  */
 
+// Shared schedule core (prayer-core.js), display languages (locales.js) and prayer
+// layouts (layouts.js): loaded before this file in the browser, required in Node
+const { PrayerCore } = typeof module !== "undefined" && module.exports
+    ? require("./prayer-core.js")
+    : window.PrayerTimesCore;
+const Locales = typeof module !== "undefined" && module.exports
+    ? require("./locales.js")
+    : window.PrayerTimesLocales;
+const Layouts = typeof module !== "undefined" && module.exports
+    ? require("./layouts.js")
+    : window.PrayerTimesLayouts;
+
+/**
+ * Minimal MQTT 3.1.1 publisher over WebSocket (QoS 0), enough to notify a local broker
+ * Each publish() connects, waits for CONNACK, publishes and disconnects, so nothing is
+ * kept open between the few events a day.
+ */
+class MqttPublisher {
+    constructor({ url, username = "", password = "", clientId = "", timeoutMs = 10000 }) {
+        this.url = url;
+        this.username = username;
+        this.password = password;
+        this.clientId = clientId || `prayer-times-${Math.random().toString(16).slice(2, 10)}`;
+        this.timeoutMs = timeoutMs;
+        this.KEEP_ALIVE_SEC = 60;
+        this.FLUSH_POLL_MS = 20;
+    }
+
+    /**
+     * Publish one message: CONNECT, wait for CONNACK, then PUBLISH and DISCONNECT.
+     * Resolves once the socket's send buffer is empty (the packets were handed to the network)
+     */
+    publish(topic, message, { retain = false } = {}) {
+        return new Promise((resolve, reject) => {
+            let socket;
+            try {
+                socket = new WebSocket(this.url, ["mqtt"]);
+            } catch (error) {
+                reject(error);
+                return;
+            }
+            socket.binaryType = "arraybuffer";
+
+            let settled = false;
+            let sent = false; // PUBLISH and DISCONNECT queued after CONNACK
+            const finish = (error) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                try {
+                    socket.close();
+                } catch (e) { /* already closed */ }
+                if (error) reject(error); else resolve();
+            };
+            const timer = setTimeout(() => finish(new Error(`MQTT timeout (${this.url})`)), this.timeoutMs);
+
+            socket.onopen = () => socket.send(this.connectPacket());
+            socket.onmessage = (event) => {
+                const data = new Uint8Array(event.data);
+                if (data[0] !== 0x20 || sent) return; // Only CONNACK matters for QoS 0
+
+                if (data[3] !== 0) {
+                    finish(new Error(`MQTT connection refused (code ${data[3]})`));
+                    return;
+                }
+                socket.send(this.publishPacket(topic, message, retain));
+                socket.send(new Uint8Array([0xE0, 0x00])); // DISCONNECT
+                sent = true;
+                // Closing now would drop packets still in the send buffer
+                const closeWhenFlushed = () => {
+                    if (socket.bufferedAmount === 0) finish();
+                    else setTimeout(closeWhenFlushed, this.FLUSH_POLL_MS);
+                };
+                closeWhenFlushed();
+            };
+            socket.onerror = () => finish(new Error(`MQTT connection failed (${this.url})`));
+            // The broker closes the connection after DISCONNECT
+            socket.onclose = () => finish(sent && socket.bufferedAmount === 0
+                ? null
+                : new Error(sent ? "MQTT connection closed before the message was sent" : "MQTT connection closed before CONNACK"));
+        });
+    }
+
+    /**
+     * CONNECT with a clean session and optional username/password
+     */
+    connectPacket() {
+        let flags = 0x02;
+        const payload = [this.encodeString(this.clientId)];
+        if (this.username) {
+            flags |= 0x80;
+            payload.push(this.encodeString(this.username));
+            if (this.password) {
+                flags |= 0x40;
+                payload.push(this.encodeString(this.password));
+            }
+        }
+
+        const header = [...this.encodeString("MQTT"), 0x04, flags, this.KEEP_ALIVE_SEC >> 8, this.KEEP_ALIVE_SEC & 0xFF];
+        return this.packet(0x10, [header, ...payload]);
+    }
+
+    /**
+     * PUBLISH at QoS 0
+     */
+    publishPacket(topic, message, retain) {
+        return this.packet(0x30 | (retain ? 0x01 : 0x00), [this.encodeString(topic), new TextEncoder().encode(message)]);
+    }
+
+    /**
+     * Fixed header (type + remaining length) followed by the body parts
+     */
+    packet(type, parts) {
+        const body = parts.flatMap(part => Array.from(part));
+        const length = [];
+        let remaining = body.length;
+        do {
+            let byte = remaining % 128;
+            remaining = Math.floor(remaining / 128);
+            if (remaining > 0) byte |= 0x80;
+            length.push(byte);
+        } while (remaining > 0);
+
+        return new Uint8Array([type, ...length, ...body]);
+    }
+
+    /**
+     * Length-prefixed UTF-8 string
+     */
+    encodeString(text) {
+        const bytes = new TextEncoder().encode(text);
+        return [bytes.length >> 8, bytes.length & 0xFF, ...bytes];
+    }
+}
+
 class PrayerTimeApp {
     constructor() {
+        // Providers, day records, time parsing and scheduling live in the DOM-free core
+        this.core = new PrayerCore();
+        this.clock = this.core.clock;
+        this.calculator = this.core.calculator;
+        this.cacheStore = this.core.cacheStore;
+        this.providers = this.core.providers;
+
         // Constants - Updated to match CSV format (Imsak included for data but not display)
-        this.PRAYER_NAMES = ["Imsak", "Subuh", "Syuruk", "Zohor", "Asar", "Maghrib", "Isyak"];
-        this.DISPLAY_PRAYER_NAMES = ["Subuh", "Syuruk", "Zohor", "Asar", "Maghrib", "Isyak"]; // For table display only
+        this.PRAYER_NAMES = this.core.PRAYER_NAMES;
+        this.DISPLAY_PRAYER_NAMES = this.core.DISPLAY_PRAYER_NAMES; // For table display only
         this.AUDIO_NAMES = ["subuh", "syuruk", "zohor", "asar", "maghrib", "isyak"];
-        this.RECITATION_OFFSET_MIN = 10;
-        this.UPDATE_INTERVAL = 1000;
-        this.AUDIO_CLEAR_INTERVAL = 60 * 1000;
-        this.AUDIO_TRIGGER_THRESHOLD = 1000; // 1 second tolerance
+        this.EVENT_CATCH_UP_MS = 60 * 1000; // Late events still play within this window, else logged as missed
+        this.EVENT_MAX_TIMER_MS = 60 * 1000; // Re-check at least every minute in case a timer is throttled
+        this.EVENT_LOG_KEY = "event_log";
+        this.EVENT_LOG_LIMIT = 200;
+        this.SIMULATION_MAX_RATE = 3600; // One simulated hour per second
+
+        this.API_FIELD_NAMES = this.core.API_FIELD_NAMES;
+        this.CSV_DEFAULT_FILE = "prayer_times.csv";
+        this.CSV_DEFAULT_ZONE = "JHR04"; // Zone of the bundled timetable
+        this.CSV_STORAGE_PREFIX = "jakim_csv_";
+
+        // All settings live in one versioned object (see loadSettings). General fields are
+        // described by SETTINGS_SCHEMA; each feature keeps its own section (see readSettingsSection).
+        // "param" fields can be overridden per screen from the URL (?zone=SGR01&layout=tv&mute=1)
+        this.SETTINGS_KEY = "app_settings";
+        this.SETTINGS_VERSION = 1;
+        this.SETTINGS_SCHEMA = {
+            "zone": { type: "zone", default: null, param: "zone" }, // null: detect location on first start
+            "display.layout": { type: "enum", values: ["auto", "tv", "ipad", "compact", "countdown"], default: "auto", param: "layout" },
+            "display.mute": { type: "boolean", default: false, param: "mute" },
+            "display.language": { type: "enum", values: Object.keys(Locales.LOCALES), default: Locales.DEFAULT_LANGUAGE, param: "lang" },
+            "display.secondLanguage": { type: "enum", values: ["", ...Object.keys(Locales.LOCALES)], default: "", param: "lang2" }, // TV layout only
+            "theme.pack": { type: "enum", values: ["warm", "high-contrast", "mosque-green"], default: "warm", param: "theme" },
+            "theme.mode": { type: "enum", values: ["auto", "day", "evening", "night"], default: "auto", param: "phase" }, // auto: from Syuruk/Maghrib
+            "theme.eveningLeadMin": { type: "number", min: 0, max: 180, default: 60 }, // Evening palette this long before Maghrib
+            "theme.nightDelayMin": { type: "number", min: 0, max: 240, default: 60 }, // Night palette this long after Maghrib
+            "theme.dayBrightness": { type: "number", min: 20, max: 100, default: 100 }, // Percent
+            "theme.eveningBrightness": { type: "number", min: 20, max: 100, default: 85 },
+            "theme.nightBrightness": { type: "number", min: 20, max: 100, default: 60 },
+            "timing.updateIntervalMs": { type: "number", min: 250, max: 10000, default: 1000, param: "interval" },
+            "timing.recitationLeadMin": { type: "number", min: 0, max: 120, default: this.core.RECITATION_OFFSET_MIN }, // Unless set per prayer
+            "timing.imsakOffsetMin": { type: "number", min: 0, max: 30, default: this.core.IMSAK_OFFSET_MIN },
+            "admin.pin": { type: "pin", default: "" } // Empty: admin panel opens without a PIN
+        };
+        // Prayer layout (layouts.js) drawn for each screen layout; "auto" picks the grid on portrait tablets
+        this.PRAYER_LAYOUTS = { tv: "table", ipad: "grid", compact: "ticker", countdown: "countdown" };
+        this.PORTRAIT_TABLET_QUERY = "(orientation: portrait) and (min-width: 769px)";
+        this.PASSED_GRACE_MS = 5 * 60 * 1000; // Prayers stay unmarked this long after their time
+        this.SETTINGS_SECTIONS = ["providers", "audioSchedule", "iqamah", "jumaat", "ramadan", "dashboard", "integrations"];
+        // Version n -> n + 1, applied in order to older saved or imported settings
+        this.SETTINGS_MIGRATIONS = [
+            settings => this.migrateLegacySettings(settings)
+        ];
+        // Per-feature keys used before the settings object (version 0)
+        this.LEGACY_SETTINGS_KEYS = {
+            zone: "selected_zone",
+            providers: "provider_config",
+            audioSchedule: "audio_schedule",
+            iqamah: "iqamah_settings",
+            jumaat: "jumaat_settings",
+            ramadan: "ramadan_settings",
+            dashboard: "dashboard_settings",
+            integrations: "integration_settings"
+        };
+        this.SETTINGS_EXPORT_FILE = "prayer-times-settings.json";
+
+        // Provider order and mirror URL are applied to the core (see setProviderConfig)
+        this.DEFAULT_PROVIDER_ORDER = this.core.PROVIDER_ORDER.slice();
+
+        // Per-prayer audio: recitation before and adhan at prayer time (editable in settings)
+        this.DEFAULT_AUDIO_SCHEDULE = this.core.DEFAULT_AUDIO_SCHEDULE;
+
+        // Friday: Zohor becomes Jumaat with its own audio and a khutbah countdown
+        this.JUMAAT_ROSTER_FILE = "jumaat.json"; // Weekly khatib/imam names
+        this.DEFAULT_JUMAAT_SETTINGS = this.core.DEFAULT_JUMAAT_SETTINGS;
+
+        // Ramadan: Imsak shown, sahur wake-up and Imsak alert, iftar (Maghrib) countdown
+        this.DEFAULT_RAMADAN_SETTINGS = this.core.DEFAULT_RAMADAN_SETTINGS;
+
+        // Dashboard: other zones shown side by side; audio always follows the home zone (currentZone)
+        this.DEFAULT_DASHBOARD_SETTINGS = {
+            enabled: false,
+            zones: [] // Extra zone codes from the zone-select list
+        };
+
+        // Timetable export (.ics / .csv)
+        this.EXPORT_TZID = "Asia/Kuala_Lumpur";
+        this.EXPORT_MAX_DAYS = 366;
+
+        // Public events, see on(): listeners get the detail object described in README.md
+        this.APP_EVENTS = [
+            "prayertimesloaded", // { zone, date, hijri, times, tomorrow, source }
+            "prayerstart",       // { zone, prayer, label, time, timeMs, simulated }
+            "recitationstart",   // { zone, prayer, label, file, timeMs, simulated }
+            "nextprayerchanged", // { zone, prayer, label, timeMs, previousPrayer }
+            "daychange",         // { date, previousDate, simulated }
+            "zonechange",        // { zone, previousZone }
+            "fetcherror"         // { zone, year, month, error, provider }
+        ];
+
+        // Outbound notifications on prayer events: HTTP webhooks and MQTT (broker's WebSocket listener)
+        this.INTEGRATION_EVENTS = ["recite", "adhan", "iqamah", "day_change", "fetch_error"];
+        this.DEFAULT_INTEGRATION_SETTINGS = {
+            events: { recite: true, adhan: true, iqamah: true, day_change: true, fetch_error: true },
+            webhooks: [], // POST JSON to each URL, e.g. a Home Assistant webhook
+            mqtt: {
+                enabled: false,
+                url: "", // e.g. "ws://192.168.1.10:9001"
+                topic: "prayer-times/{zone}/{event}",
+                username: "",
+                password: "",
+                retain: false
+            },
+            retries: 3,
+            retryDelaySec: 5 // Doubled after each failed attempt
+        };
+
+        // Iqamah countdown after each adhan, minutes per prayer (0 = no iqamah phase)
+        this.DEFAULT_IQAMAH_SETTINGS = this.core.DEFAULT_IQAMAH_SETTINGS;
+
+        // Saved settings (see loadSettings), without URL overrides
+        this.settings = null;
 
         // State management
         this.state = {
+            // URL query overrides for this screen, by schema path (never saved)
+            settingsOverrides: {},
+            // Admin toolbar unlocked with the PIN (until closed)
+            adminUnlocked: false,
+            adminClickHandler: null,
+            // Prayer layout currently drawn in #prayer-layout (see renderPrayerLayout)
+            prayerLayout: null,
+            // Applied theme ("pack/phase/brightness"), so the clock only touches the DOM on a change
+            themeKey: null,
             audioCache: new Map(),
-            audioPlayed: new Set(),
+            // Today's pending audio/alert events, sorted by time
+            timeline: [],
+            eventTimer: null,
+            // Fired/missed events, newest last (persisted so reloads don't replay them)
+            eventLog: [],
             currentDateKey: null,
             nextPrayer: null,
             nextTimeMs: null,
+            // Last highlighted prayer, to notice highlight changes
+            currentPrayer: null,
+            // Active time-travel simulation: { start, rate, muted, log } or null
+            simulation: null,
             todayPrayerTimes: {},
+            // Next day's times (same shape), so the countdown and audio can look past Isyak
+            tomorrowPrayerTimes: {},
+            tomorrowDateKey: null,
             currentHijriDate: "",
-            // Key format: "zone_year_month" -> array of days
-            monthlyPrayerData: {},
+            // Month data held by the core (same objects, never reassigned): "zone_year_month" keys
+            monthlyPrayerData: this.core.monthlyPrayerData,
+            monthlySources: this.core.monthlySources,
+            csvPrayerData: this.core.csvPrayerData,
+            csvDataRaw: "",
             currentZone: "JHR04",
+            // Zone whose times are shown, to notice zone changes
+            loadedZone: null,
+            // App event listeners: type -> Set of listeners
+            listeners: new Map(),
             isInitialized: false,
             clockInterval: null,
-            audioInterval: null,
+            // Active iqamah phase: { prayer, iqamahMs } or null
+            iqamah: null,
+            iqamahSettings: null,
+            audioSchedule: null,
+            jumaatSettings: null,
+            ramadanSettings: null,
+            dashboardSettings: null,
+            integrationSettings: null,
+            // Recent webhook/MQTT deliveries, newest last: { target, event, status, detail, time }
+            integrationLog: [],
+            // Rendered dashboard cards with their zone's times: [{ card, today, tomorrow }]
+            dashboardCards: [],
+            // Month shown in the timetable view: { year, month }
+            timetableMonth: null,
+            jumaatRoster: [],
             performanceStats: {
                 updateCount: 0,
                 totalTime: 0
             }
         };
 
-        // Localization
-        this.locale = {
-            days: ["Ahad", "Isnin", "Selasa", "Rabu", "Khamis", "Jumaat", "Sabtu"],
-            months: ["Jan", "Feb", "Mac", "Apr", "Mei", "Jun", "Jul", "Ogos", "Sep", "Okt", "Nov", "Dis"],
-            monthsEn: ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"],
-            messages: {
-                loading: "Memuatkan data waktu solat...",
-                detecting: "Mengesan lokasi...",
-                allPrayersComplete: "Semua waktu solat untuk hari ini telah selesai.",
-                nextPrayerFormat: "Waktu Solat ({prayer}) dalam {hours}j {mins}m {secs}s",
-                hijriDateFormat: "Tarikh Hijri: {date}",
-                audioError: "Ralat memainkan audio",
-                apiError: "Gagal mendapatkan data waktu solat.",
-                gpsError: "Gagal mengesan lokasi. Menggunakan zon lalai.",
-                noDataFound: "Tiada data waktu solat dijumpai untuk tarikh ini"
-            },
-            bulan_islam: [
-                { "order": 1, "month": "Muharram" },
-                { "order": 2, "month": "Safar" },
-                { "order": 3, "month": "Rabiulawal" },
-                { "order": 4, "month": "Rabiulakhir" },
-                { "order": 5, "month": "Jamadilawal" },
-                { "order": 6, "month": "Jamadilakhir" },
-                { "order": 7, "month": "Rejab" },
-                { "order": 8, "month": "Syaaban" },
-                { "order": 9, "month": "Ramadan" },
-                { "order": 10, "month": "Syawal" },
-                { "order": 11, "month": "Zulkaedah" },
-                { "order": 12, "month": "Zulhijjah" }
-            ]
-        };
+        // Display language (locales.js): labels, day/month names and messages. Data keys
+        // (PRAYER_NAMES, the "Day" field) stay as they are; see getPrayerName()
+        this.locale = Locales.getLocale(Locales.DEFAULT_LANGUAGE);
+        // Shown on a second line in the TV layout (display.secondLanguage), or null
+        this.secondLocale = null;
     }
 
     /**
@@ -85,13 +350,33 @@ class PrayerTimeApp {
             // Monitor connection status
             this.monitorConnection();
 
+            this.loadSettings();
+            this.applySettingsOverridesFromUrl();
+            this.applyDisplaySettings();
+            this.setupAdminAccess();
+
             this.setupZoneSelector();
+            this.setupLanguageSelector();
+            this.setupLayoutWatcher();
+            this.loadProviderConfig();
+            this.loadIqamahSettings();
+            this.loadAudioSchedule();
+            this.loadJumaatSettings();
+            this.loadRamadanSettings();
+            this.loadJumaatRoster();
+            this.loadEventLog();
+            this.loadDashboardSettings();
+            this.loadIntegrationSettings();
+            await this.cacheStore.open();
 
             // Load audio
             await this.preloadAllAudio();
 
+            // Local JAKIM timetables used when the API is unreachable
+            await this.loadCSVData();
+
             // Try to detect location on startup if not set, else use default
-            const savedZone = localStorage.getItem("selected_zone");
+            const savedZone = this.getSetting("zone");
             if (savedZone) {
                 this.state.currentZone = savedZone;
                 const selector = document.getElementById("zone-select");
@@ -102,40 +387,97 @@ class PrayerTimeApp {
                 await this.detectLocation();
             }
 
+            this.evictCachedMonths();
+            this.loadDashboardZones();
+
             // Setup UI
             this.setupEventListeners();
             this.startClockUpdates();
-            this.startAudioClearInterval();
 
             this.state.isInitialized = true;
             console.log("Prayer Time App initialized successfully");
 
+            // Rehearsal requested via ?simulate=...
+            this.startSimulationFromUrl();
+
             // Remove loading state from UI
             const loadingElements = document.querySelectorAll('.loading');
             loadingElements.forEach(el => el.classList.remove('loading'));
 
         } catch (error) {
             console.error("Failed to initialize Prayer Time App:", error);
-            this.showError("Ralat memulakan aplikasi. Sila semak sambungan internet dan muat semula halaman.", false);
+            this.showError(this.locale.messages.initError, false);
 
-            // Retry initialization after 5 seconds
-            setTimeout(() => {
-                console.log("Retrying initialization...");
-                this.init();
-            }, 5000);
+            // Retry initialization after 5 seconds, or once back online
+            if (navigator.onLine) {
+                setTimeout(() => {
+                    console.log("Retrying initialization...");
+                    this.init();
+                }, 5000);
+            } else {
+                window.addEventListener('online', () => {
+                    console.log("Back online, retrying initialization...");
+                    this.init();
+                }, { once: true });
+            }
+        }
+    }
+
+    /**
+     * Register the service worker so the app and its audio work offline
+     */
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) {
+            console.warn("Service worker not supported, offline mode unavailable");
+            return;
+        }
+
+        navigator.serviceWorker.register("sw.js")
+            .then(registration => console.log("Service worker registered:", registration.scope))
+            .catch(error => console.warn("Service worker registration failed:", error));
+    }
+
+    /**
+     * Audio files the current settings can play: files (schedule and Jumaat) and optionalFiles
+     * (sahur/Imsak and iqamah alerts, which fall back to a beep when missing)
+     */
+    getConfiguredAudioFiles() {
+        const files = new Set();
+        Object.values(this.state.audioSchedule || this.DEFAULT_AUDIO_SCHEDULE).forEach(entry => {
+            if (entry.recite.enabled && entry.recite.file) files.add(entry.recite.file);
+            if (entry.adhan.enabled && entry.adhan.file) files.add(entry.adhan.file);
+        });
+        const jumaat = this.state.jumaatSettings || this.DEFAULT_JUMAAT_SETTINGS;
+        ["tarhim", "firstAdhan", "secondAdhan"].forEach(key => {
+            if (jumaat.enabled && jumaat[key].enabled && jumaat[key].file) files.add(jumaat[key].file);
+        });
+
+        const optionalFiles = new Set();
+        const ramadan = this.state.ramadanSettings || this.DEFAULT_RAMADAN_SETTINGS;
+        if (ramadan.mode !== "off") {
+            ["sahur", "imsakAlert"].forEach(key => {
+                if (ramadan[key].enabled && ramadan[key].file) optionalFiles.add(ramadan[key].file);
+            });
         }
+        const iqamahFile = this.state.iqamahSettings && this.state.iqamahSettings.audioFile;
+        if (iqamahFile) optionalFiles.add(iqamahFile);
+        files.forEach(file => optionalFiles.delete(file));
+
+        return { files, optionalFiles };
     }
 
     /**
      * Preload all audio files for better performance (excluding Imsak)
      */
     async preloadAllAudio() {
-        // Only preload audio for actual prayers, not Imsak
-        const audioNames = ["subuh", "syuruk", "zohor", "asar", "maghrib", "isyak"];
-        const loadPromises = audioNames.flatMap(name => [
-            this.preloadAudio(`${name}_recite.mp3`),
-            this.preloadAudio(`${name}_adhan.mp3`)
-        ]);
+        // Only preload files the settings will actually play
+        const { files, optionalFiles } = this.getConfiguredAudioFiles();
+        this.cacheAudioOffline();
+
+        const loadPromises = [
+            ...Array.from(files).map(file => this.preloadAudio(file)),
+            ...Array.from(optionalFiles).map(file => this.preloadAudio(file).catch(() => null))
+        ];
 
         try {
             await Promise.all(loadPromises);
@@ -145,6 +487,22 @@ class PrayerTimeApp {
         }
     }
 
+    /**
+     * Ask the service worker to keep every audio file the display plays for offline use
+     */
+    cacheAudioOffline() {
+        if (!('serviceWorker' in navigator)) return;
+
+        const { files, optionalFiles } = this.getConfiguredAudioFiles();
+        navigator.serviceWorker.ready
+            .then(registration => {
+                if (registration.active) {
+                    registration.active.postMessage({ type: "cache-audio", files: [...files, ...optionalFiles] });
+                }
+            })
+            .catch(error => console.warn("Audio not cached for offline use:", error));
+    }
+
     /**
      * Preload individual audio file
      */
@@ -152,6 +510,7 @@ class PrayerTimeApp {
         return new Promise((resolve, reject) => {
             const audio = new Audio(filename);
             audio.preload = "auto";
+            let failed = false;
 
             audio.addEventListener('canplaythrough', () => {
                 this.state.audioCache.set(filename, audio);
@@ -160,12 +519,13 @@ class PrayerTimeApp {
 
             audio.addEventListener('error', (e) => {
                 console.warn(`Failed to preload ${filename}:`, e);
+                failed = true;
                 reject(e);
             }, { once: true });
 
-            // Timeout fallback
+            // Timeout fallback (slow loads only, not missing files)
             setTimeout(() => {
-                if (!this.state.audioCache.has(filename)) {
+                if (!failed && !this.state.audioCache.has(filename)) {
                     this.state.audioCache.set(filename, audio);
                     resolve(audio);
                 }
@@ -173,6 +533,20 @@ class PrayerTimeApp {
         });
     }
 
+    /**
+     * Fill the language picker from the available locales
+     */
+    setupLanguageSelector() {
+        const selector = document.getElementById("language-select");
+        if (!selector) return;
+
+        selector.innerHTML = Object.entries(Locales.LOCALES)
+            .map(([id, locale]) => `<option value="${id}">${locale.name}</option>`)
+            .join("");
+        selector.value = this.locale.id;
+        selector.addEventListener("change", (e) => this.setLanguage(e.target.value));
+    }
+
     /**
      * Setup zone selector dropdown
      */
@@ -185,7 +559,7 @@ class PrayerTimeApp {
                     this.detectLocation();
                 } else {
                     this.state.currentZone = value;
-                    localStorage.setItem("selected_zone", value);
+                    this.saveZone(value);
                     this.handleZoneChange(value);
 
                     // Clear location name display
@@ -204,7 +578,7 @@ class PrayerTimeApp {
         this.showError(this.locale.messages.detecting);
 
         if (!navigator.geolocation) {
-            this.showError("Geolocation tidak disokong oleh pelayar ini.");
+            this.showError(this.locale.messages.geolocationUnsupported);
             this.fallbackToDefaultZone();
             return;
         }
@@ -216,13 +590,13 @@ class PrayerTimeApp {
                     const long = position.coords.longitude;
 
                     // Call GPS endpoint
-                    const response = await fetch(`https://api.waktusolat.app/v2/solat/gps/${lat}/${long}`);
+                    const response = await fetch(`${this.core.API_BASE_URL}/v2/solat/gps/${lat}/${long}`);
                     const data = await response.json();
 
                     if (data && data.zone) {
                         const zone = data.zone;
                         this.state.currentZone = zone;
-                        localStorage.setItem("selected_zone", zone);
+                        this.saveZone(zone);
 
                         // Add or update "Current Location" option
                         this.updateSelectorWithCurrentLocation(zone);
@@ -275,7 +649,7 @@ class PrayerTimeApp {
         }
 
         if (locName) {
-            locName.textContent = `Lokasi dikesan: Zon ${zone}`;
+            locName.textContent = Locales.formatMessage(this.locale.messages.locationDetectedFormat, { zone });
             locName.style.display = "block";
         }
     }
@@ -286,14 +660,14 @@ class PrayerTimeApp {
     async handleZoneChange(zone) {
         this.showError(this.locale.messages.loading);
         try {
-            const now = this.getCurrentLocalTime();
-            const year = now.getFullYear();
-            const month = now.getMonth() + 1; // 1-12
+            const today = this.clock.today();
+            const year = today.getFullYear();
+            const month = today.getMonth() + 1; // 1-12
 
             await this.fetchPrayerData(zone, year, month);
 
             // Reload for current date
-            this.loadPrayerTimesForDate(now);
+            this.loadPrayerTimesForDate(today);
 
             // Hide loading message / reset error
             const errorElement = document.getElementById("error-message");
@@ -306,547 +680,2698 @@ class PrayerTimeApp {
     }
 
     /**
-     * Fetch prayer data from API or localStorage (Monthly)
+     * Fetch prayer data from the IndexedDB cache or the first working provider (Monthly)
      */
     async fetchPrayerData(zone, year, month) {
-        const cacheKey = `prayer_times_${zone}_${year}_${month}`;
-        const cached = localStorage.getItem(cacheKey);
-
-        if (cached) {
-            console.log(`Loading prayer data from localStorage for ${zone} ${month}/${year}`);
-            this.state.monthlyPrayerData[`${zone}_${year}_${month}`] = JSON.parse(cached);
-            return;
-        }
-
-        console.log(`Fetching prayer data from API for ${zone} ${month}/${year}`);
+        // Keep the zones on screen if the cache has to make room for this month
+        this.cacheStore.setActive(this.getCacheScope());
 
+        let result;
         try {
-            const url = `https://api.waktusolat.app/solat/${zone}?year=${year}&month=${month}`;
-            const response = await fetch(url);
-
-            if (!response.ok) throw new Error(`HTTP error ${response.status}`);
-
-            const data = await response.json();
-
-            if (data.status === "OK!" && data.prayerTime) {
-                // data.prayerTime is an array of days
-                this.state.monthlyPrayerData[`${zone}_${year}_${month}`] = data.prayerTime;
-
-                // Cache it
-                try {
-                    localStorage.setItem(cacheKey, JSON.stringify(data.prayerTime));
-                } catch (e) {
-                    console.warn("Storage quota exceeded", e);
-                }
-            } else {
-                throw new Error("Invalid API response format");
-            }
+            result = await this.core.fetchPrayerData(zone, year, month);
+        } catch (error) {
+            this.notifyIntegrations("fetch_error", { zone, error: error.message });
+            this.emit("fetcherror", { zone, year, month, error: error.message, provider: null });
+            throw error;
+        }
 
-        } catch (err) {
-            throw new Error("Failed to fetch data from API");
+        if (result.cacheError) {
+            this.showError(this.locale.messages.storageFull);
+        }
+        // Online sources all failed, showing a local or expired copy instead
+        const provider = this.providers[result.provider];
+        if (result.failures.length > 0 && (result.stale || !(provider && provider.cacheable))) {
+            this.notifyIntegrations("fetch_error", { zone, error: `${month}/${year}: ${result.failures.join("; ")}` });
+            this.emit("fetcherror", { zone, year, month, error: result.failures.join("; "), provider: result.provider });
         }
+        this.updateDataSourceDisplay();
+        return result;
     }
 
     /**
-     * Format date to match API key: dd-Mon-yyyy (e.g. 05-Apr-2024)
+     * Zones on screen (home and dashboard) and the current month, for cache eviction
      */
-    formatDateForApi(date) {
-        const day = String(date.getDate()).padStart(2, '0');
-        const month = this.locale.monthsEn[date.getMonth()];
-        const year = date.getFullYear();
-        return `${day}-${month}-${year}`;
+    getCacheScope() {
+        const today = this.clock.today();
+        return {
+            zones: [this.state.currentZone, ...this.getDashboardZones()],
+            year: today.getFullYear(),
+            month: today.getMonth() + 1
+        };
     }
 
     /**
-     * Get current time in Malaysia timezone (UTC+8)
+     * Remove past months and zones no longer displayed from the cache
      */
-    getCurrentLocalTime() {
-        const now = new Date();
-
-        // Ensure we're working with Malaysia timezone (UTC+8)
-        const malaysiaOffset = 8 * 60; // Malaysia is UTC+8
-        const localOffset = now.getTimezoneOffset();
-        const malaysiaTime = new Date(now.getTime() + (localOffset + malaysiaOffset) * 60000);
+    async evictCachedMonths() {
+        try {
+            await this.cacheStore.evict(this.getCacheScope());
+        } catch (error) {
+            console.warn("Cache eviction failed:", error);
+        }
+    }
 
-        return malaysiaTime;
+    /**
+     * List cached months with their metadata (for debugging)
+     */
+    async listCachedMonths() {
+        const entries = await this.cacheStore.list();
+        console.table(entries.map(entry => ({
+            key: entry.key,
+            provider: entry.provider,
+            days: entry.dayCount,
+            fetchedAt: entry.fetchedAt ? new Date(entry.fetchedAt).toLocaleString() : "unknown",
+            expired: this.cacheStore.isExpired(entry)
+        })));
+        return entries;
     }
 
     /**
-     * Parse and load prayer times for a specific date using cached JSON data
+     * Clear cached months, optionally for one zone only (for debugging)
      */
-    loadPrayerTimesForDate(date) {
-        const year = date.getFullYear();
-        const month = date.getMonth() + 1;
-        const cacheKey = `${this.state.currentZone}_${year}_${month}`;
+    async clearCachedMonths(zone = null) {
+        const removed = await this.cacheStore.clear(zone);
+        console.log(`Cleared ${removed} cached months${zone ? ` for ${zone}` : ""}`);
+        return removed;
+    }
 
-        // Ensure data for this month is loaded
-        if (!this.state.monthlyPrayerData[cacheKey]) {
-            console.log("Data for this month not loaded yet, fetching...", cacheKey);
-            this.fetchPrayerData(this.state.currentZone, year, month).then(() => {
-                this.loadPrayerTimesForDate(date);
-            }).catch(e => console.error(e));
-            return false;
+    /**
+     * Load the settings object, migrating older versions (and the per-feature keys
+     * of earlier releases) to SETTINGS_VERSION
+     */
+    loadSettings() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(this.SETTINGS_KEY) || "null");
+        } catch (e) {
+            console.warn("Ignoring invalid settings", e);
         }
 
-        // Get array of days for this month
-        const monthData = this.state.monthlyPrayerData[cacheKey];
-        if (!monthData) return false;
-
-        // Find the specific day
-        const apiDateKey = this.formatDateForApi(date);
-        const dayData = monthData.find(d => d.date === apiDateKey);
-
-        if (dayData) {
-            this.state.todayPrayerTimes = {
-                "Subuh": this.fixTimeFormat(dayData.fajr),
-                "Syuruk": this.fixTimeFormat(dayData.syuruk),
-                "Zohor": this.fixTimeFormat(dayData.dhuhr),
-                "Asar": this.fixTimeFormat(dayData.asr),
-                "Maghrib": this.fixTimeFormat(dayData.maghrib),
-                "Isyak": this.fixTimeFormat(dayData.isha),
-                "Date Hijri": dayData.hijri
-            };
-
-            // Calculate Imsak (10 mins before Fajr)
-            const fajrTime = this.parseTime(this.state.todayPrayerTimes["Subuh"]);
-            const imsakTimeMs = this.getTimeInMs(fajrTime.hour, fajrTime.minute) - (10 * 60 * 1000);
-            const imsakDate = new Date(imsakTimeMs);
-            const imsakStr = imsakDate.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hour12: false });
-
-            this.state.todayPrayerTimes["Imsak"] = imsakStr;
-
-            // Set Day name for display
-            // Day name from date object to match locale
-            const dayIndex = date.getDay();
-            this.state.todayPrayerTimes["Day"] = this.locale.days[dayIndex];
-
-            this.state.currentHijriDate = dayData.hijri;
-            this.state.currentDateKey = apiDateKey;
-
-            this.updateHijriDateDisplay();
-            this.populatePrayerTable();
-            return true;
+        const version = saved && Number.isInteger(saved.version) ? saved.version : 0;
+        try {
+            this.settings = this.normalizeSettings(this.migrateSettings({ ...(saved || {}), version }));
+        } catch (error) {
+            // Saved by a newer release: use what we understand, but don't overwrite it
+            console.warn(error.message);
+            this.settings = this.normalizeSettings(saved);
+            return this.settings;
         }
 
-        return false;
+        if (version < this.SETTINGS_VERSION) {
+            console.log(`Settings migrated from version ${version} to ${this.SETTINGS_VERSION}`);
+            this.saveSettings();
+            // The settings object is now the only copy
+            Object.values(this.LEGACY_SETTINGS_KEYS).forEach(key => localStorage.removeItem(key));
+        }
+        return this.settings;
     }
 
     /**
-     * Ensure time is in clean format (HH:mm:ss) or (HH:mm)
+     * Run the migrations from settings.version up to SETTINGS_VERSION
      */
-    fixTimeFormat(timeStr) {
-        if (!timeStr) return "";
-        // Extract HH:mm from HH:mm:ss
-        const parts = timeStr.split(":");
-        if (parts.length >= 2) {
-            return `${parts[0]}:${parts[1]}`;
+    migrateSettings(settings) {
+        if (settings.version > this.SETTINGS_VERSION) {
+            throw new Error(`Settings version ${settings.version} is newer than this app (${this.SETTINGS_VERSION})`);
+        }
+
+        let migrated = settings;
+        for (let version = settings.version; version < this.SETTINGS_VERSION; version++) {
+            migrated = { ...this.SETTINGS_MIGRATIONS[version](migrated), version: version + 1 };
         }
-        return timeStr;
+        return migrated;
     }
 
     /**
-     * Format long date for display
+     * Version 0 -> 1: collect selected_zone and the per-feature localStorage keys
      */
-    formatLongDate(date) {
-        const dayName = this.locale.days[date.getDay()];
-        const dayNum = String(date.getDate()).padStart(2, '0');
-        const monthName = this.locale.months[date.getMonth()];
-        const year = date.getFullYear();
-        return `${dayName}, ${dayNum} ${monthName} ${year}`;
+    migrateLegacySettings(settings) {
+        const migrated = { ...settings };
+        const zone = localStorage.getItem(this.LEGACY_SETTINGS_KEYS.zone);
+        if (zone && zone !== "detect-location") migrated.zone = zone;
+
+        this.SETTINGS_SECTIONS.forEach(section => {
+            const key = this.LEGACY_SETTINGS_KEYS[section];
+            try {
+                const value = JSON.parse(localStorage.getItem(key) || "null");
+                if (value && typeof value === "object") migrated[section] = value;
+            } catch (e) {
+                console.warn(`Ignoring invalid ${key}`, e);
+            }
+        });
+        return migrated;
     }
 
     /**
-     * Enhanced time parsing with better error messages
+     * Current-version settings with every schema field valid (invalid values fall back to the default)
      */
-    parseTime(timeStr) {
-        if (!timeStr || typeof timeStr !== 'string') {
-            throw new Error(`Invalid time string: ${timeStr}`);
-        }
+    normalizeSettings(raw) {
+        const settings = { version: this.SETTINGS_VERSION };
 
-        const trimmed = timeStr.trim();
+        Object.entries(this.SETTINGS_SCHEMA).forEach(([path, field]) => {
+            const value = this.getSettingPath(raw, path);
+            let normalized = field.default;
+            if (value !== undefined) {
+                try {
+                    normalized = this.readSettingValue(path, value);
+                } catch (error) {
+                    console.warn(`Ignoring setting ${path}: ${error.message}`);
+                }
+            }
+            this.setSettingPath(settings, path, normalized);
+        });
 
-        // Handle API format (HH:mm:ss) or (HH:mm) - 24 hour format
-        // If it doesn't contain a space (separator for AM/PM), treat as 24h
-        if (!trimmed.includes(" ")) {
-            const timeParts = trimmed.split(":");
-            if (timeParts.length < 2) {
-                throw new Error(`Invalid time format: "${timeStr}"`);
+        this.SETTINGS_SECTIONS.forEach(section => {
+            if (raw[section] === undefined) return;
+            try {
+                settings[section] = this.readSettingsSection(section, raw[section]);
+            } catch (error) {
+                console.warn(`Ignoring ${section} settings: ${error.message}`);
             }
+        });
+        return settings;
+    }
 
-            const hour = parseInt(timeParts[0], 10);
-            const minute = parseInt(timeParts[1], 10);
+    /**
+     * Validate a feature section as saved (missing fields use the defaults); throws on invalid values
+     */
+    readSettingsSection(section, value) {
+        const isObject = item => !!item && typeof item === "object" && !Array.isArray(item);
+        const check = (valid, message) => {
+            if (!valid) throw new Error(message);
+        };
+        const checkNumber = (item, label, min, max) => {
+            check(item === undefined || (typeof item === "number" && item >= min && item <= max), `${label} must be a number from ${min} to ${max}`);
+        };
+        const checkAudio = (item, label) => {
+            if (item === undefined) return;
+            check(isObject(item), `${label} must be an object`);
+            check(item.enabled === undefined || typeof item.enabled === "boolean", `${label}.enabled must be true or false`);
+            check(item.file === undefined || typeof item.file === "string", `${label}.file must be a file name`);
+            checkNumber(item.volume, `${label}.volume`, 0, 1);
+            checkNumber(item.leadMin, `${label}.leadMin`, 0, 120);
+        };
 
-            if (isNaN(hour) || isNaN(minute)) {
-                throw new Error(`Invalid time values: "${timeStr}"`);
-            }
+        check(isObject(value), "Not an object");
 
-            return { hour, minute };
+        if (section === "providers") {
+            const unknown = Array.isArray(value.order) ? value.order.filter(id => !this.providers[id]) : [];
+            check(value.order === undefined || Array.isArray(value.order), "order must be a list of provider ids");
+            check(unknown.length === 0, `Unknown providers: ${unknown.join(", ")}. Available: ${Object.keys(this.providers).join(", ")}`);
+            check(value.mirrorUrl === undefined || typeof value.mirrorUrl === "string", "mirrorUrl must be a URL");
         }
-
-        // Handle Legacy format (HH:mm AM/PM)
-        const parts = trimmed.split(" ");
-        if (parts.length !== 2) {
-            throw new Error(`Invalid time format: "${timeStr}". Expected "HH:mm AM/PM" or "HH:mm:ss"`);
+        if (section === "audioSchedule") {
+            Object.entries(value).forEach(([name, entry]) => {
+                check(this.DEFAULT_AUDIO_SCHEDULE[name], `Unknown prayer: ${name}`);
+                check(isObject(entry), `${name} must be an object`);
+                checkAudio(entry.recite, `${name}.recite`);
+                checkAudio(entry.adhan, `${name}.adhan`);
+            });
         }
-
-        const [time, modifier] = parts;
-        const timeParts = time.split(":");
-
-        if (timeParts.length !== 2) {
-            throw new Error(`Invalid time format: "${timeStr}". Time part should be "HH:MM"`);
+        if (section === "iqamah") {
+            check(value.offsets === undefined || isObject(value.offsets), "offsets must be an object");
+            Object.entries(value.offsets || {}).forEach(([name, minutes]) => {
+                check(this.DISPLAY_PRAYER_NAMES.includes(name) && name !== "Syuruk", `Invalid prayer name: ${name}`);
+                checkNumber(minutes, `offsets.${name}`, 0, 60);
+            });
+            check(value.alert === undefined || typeof value.alert === "boolean", "alert must be true or false");
+            check(value.audioFile === undefined || typeof value.audioFile === "string", "audioFile must be a file name");
         }
-
-        const [hourStr, minuteStr] = timeParts;
-        const hour = parseInt(hourStr, 10);
-        const minute = parseInt(minuteStr, 10);
-
-        if (isNaN(hour) || isNaN(minute)) {
-            throw new Error(`Invalid time values: "${timeStr}"`);
+        if (section === "jumaat") {
+            check(value.enabled === undefined || typeof value.enabled === "boolean", "enabled must be true or false");
+            checkNumber(value.khutbahOffsetMin, "khutbahOffsetMin", 0, 60);
+            ["tarhim", "firstAdhan", "secondAdhan"].forEach(key => checkAudio(value[key], key));
         }
-
-        if (hour < 1 || hour > 12) {
-            throw new Error(`Invalid hour in 12-hour format: ${hour}`);
+        if (section === "ramadan") {
+            check(value.mode === undefined || ["auto", "on", "off"].includes(value.mode), `Invalid Ramadan mode: ${value.mode}. Use 'auto', 'on' or 'off'`);
+            checkAudio(value.sahur, "sahur");
+            checkAudio(value.imsakAlert, "imsakAlert");
+            if (value.sahur && value.sahur.time !== undefined) {
+                try {
+                    this.core.parseTime(value.sahur.time);
+                } catch (error) {
+                    throw new Error(`Invalid sahur time: ${value.sahur.time}. Use HH:mm`);
+                }
+            }
         }
-
-        if (minute < 0 || minute > 59) {
-            throw new Error(`Invalid minute: ${minute}`);
+        if (section === "dashboard") {
+            check(value.enabled === undefined || typeof value.enabled === "boolean", "enabled must be true or false");
+            check(value.zones === undefined || Array.isArray(value.zones), "Dashboard zones must be an array of zone codes");
+            const unknown = (value.zones || []).filter(zone => !this.calculator.hasZone(zone));
+            check(unknown.length === 0, `Unknown zones: ${unknown.join(", ")}`);
         }
-
-        if (modifier !== "AM" && modifier !== "PM") {
-            throw new Error(`Invalid time modifier: "${modifier}". Expected AM or PM`);
+        if (section === "integrations") {
+            check(value.webhooks === undefined || (Array.isArray(value.webhooks) && value.webhooks.every(url => /^https?:\/\//.test(url))),
+                "Webhooks must be a list of http(s) URLs");
+            check(value.mqtt === undefined || isObject(value.mqtt), "mqtt must be an object");
+            const mqtt = value.mqtt || {};
+            ["enabled", "retain"].forEach(key => {
+                check(mqtt[key] === undefined || typeof mqtt[key] === "boolean", `mqtt.${key} must be true or false`);
+            });
+            check(!mqtt.enabled || /^wss?:\/\//.test(mqtt.url), "MQTT needs the broker's WebSocket URL (ws:// or wss://)");
+            ["url", "topic", "username", "password"].forEach(key => {
+                check(mqtt[key] === undefined || typeof mqtt[key] === "string", `mqtt.${key} must be text`);
+            });
+            check(value.events === undefined || isObject(value.events), "events must be an object");
+            const unknown = Object.keys(value.events || {}).filter(name => !this.INTEGRATION_EVENTS.includes(name));
+            check(unknown.length === 0, `Unknown integration events: ${unknown.join(", ")}. Available: ${this.INTEGRATION_EVENTS.join(", ")}`);
+            check(Object.values(value.events || {}).every(enabled => typeof enabled === "boolean"), "events must be true or false");
+            checkNumber(value.retries, "retries", 0, 10);
+            checkNumber(value.retryDelaySec, "retryDelaySec", 0, 3600);
         }
+        return value;
+    }
 
-        // Convert to 24-hour format
-        let hour24 = hour;
-        if (modifier === "PM" && hour !== 12) {
-            hour24 += 12;
-        } else if (modifier === "AM" && hour === 12) {
-            hour24 = 0;
+    /**
+     * Validate a schema field, converting form and URL strings ("1", "true", "15");
+     * throws on invalid values
+     */
+    readSettingValue(path, value) {
+        const field = this.SETTINGS_SCHEMA[path];
+        if (!field) throw new Error(`Unknown setting: ${path}`);
+
+        if (field.type === "zone") {
+            if (value === null || value === "") return null;
+            const zone = String(value).toUpperCase();
+            if (!/^[A-Z]{3}\d{2}$/.test(zone)) throw new Error(`Invalid zone code: ${value}`);
+            return zone;
         }
-
-        return { hour: hour24, minute };
+        if (field.type === "enum") {
+            if (!field.values.includes(value)) throw new Error(`Use one of: ${field.values.join(", ")}`);
+            return value;
+        }
+        if (field.type === "boolean") {
+            if (typeof value === "boolean") return value;
+            if (["1", "true", "on", "yes"].includes(String(value))) return true;
+            if (["0", "false", "off", "no", ""].includes(String(value))) return false;
+            throw new Error(`Not a boolean: ${value}`);
+        }
+        if (field.type === "number") {
+            const number = Number(value);
+            if (value === "" || !Number.isFinite(number) || number < field.min || number > field.max) {
+                throw new Error(`Use a number from ${field.min} to ${field.max}`);
+            }
+            return number;
+        }
+        if (field.type === "pin") {
+            const pin = String(value).trim();
+            if (pin && !/^\d{4,8}$/.test(pin)) throw new Error("PIN must be 4-8 digits");
+            return pin;
+        }
+        return value;
     }
 
     /**
-     * Get time in milliseconds for today
+     * Value at a dotted path ("display.mute"), or undefined
      */
-    getTimeInMs(hour, minute) {
-        const now = this.getCurrentLocalTime();
-        const time = new Date(now.getFullYear(), now.getMonth(), now.getDate(), hour, minute, 0);
-        return time.getTime();
+    getSettingPath(object, path) {
+        return path.split(".").reduce((value, key) => (value && typeof value === "object" ? value[key] : undefined), object);
     }
 
     /**
-     * Populate prayer table with current data (excluding Imsak)
+     * Set a dotted path, creating intermediate objects
      */
-    populatePrayerTable() {
-        const container = document.getElementById("prayer-table");
-        if (!container) return;
+    setSettingPath(object, path, value) {
+        const keys = path.split(".");
+        const last = keys.pop();
+        const target = keys.reduce((parent, key) => {
+            if (!parent[key] || typeof parent[key] !== "object") parent[key] = {};
+            return parent[key];
+        }, object);
+        target[last] = value;
+    }
 
-        // Clear existing content
-        const existingRow = container.querySelector("tr");
-        if (existingRow) {
-            existingRow.innerHTML = "";
-        } else {
-            const newRow = document.createElement("tr");
-            container.appendChild(newRow);
+    /**
+     * Effective value of a schema field: URL override, then saved setting, then default
+     */
+    getSetting(path) {
+        if (Object.prototype.hasOwnProperty.call(this.state.settingsOverrides, path)) {
+            return this.state.settingsOverrides[path];
         }
-
-        const row = container.querySelector("tr");
-
-        // Only display prayers excluding Imsak
-        this.DISPLAY_PRAYER_NAMES.forEach(name => {
-            const time = this.state.todayPrayerTimes[name];
-            if (!time) return;
-
-            const cell = document.createElement("td");
-            cell.setAttribute("data-prayer", name);
-            cell.innerHTML = `
-                <div class="prayer-name">${name}</div>
-                <div class="prayer-time">${time}</div>
-            `;
-            row.appendChild(cell);
-        });
+        const value = this.getSettingPath(this.settings || this.loadSettings(), path);
+        return value === undefined ? this.SETTINGS_SCHEMA[path].default : value;
     }
 
     /**
-     * Main clock update function with optimized checks
+     * Validate, save and apply schema fields, e.g. { "display.layout": "tv", "timing.recitationLeadMin": 15 }
      */
-    updateClock() {
-        if (!this.state.isInitialized) return;
-
-        const now = this.getCurrentLocalTime();
-
-        // Check for date change (only once per minute to optimize performance)
-        if (now.getSeconds() === 0) {
-            this.checkDateChange(now);
+    updateSettings(changes) {
+        const settings = this.settings || this.loadSettings();
+        const values = {};
+        for (const [path, value] of Object.entries(changes)) {
+            try {
+                values[path] = this.readSettingValue(path, value);
+            } catch (error) {
+                console.error(`Invalid setting ${path}: ${error.message}`);
+                return false;
+            }
         }
 
-        this.updateTimeDisplay(now);
-        this.checkAndUpdatePrayerHighlight(now);
-        this.updateNextPrayerTimer(now);
-        this.checkPrayerAudio(now);
+        Object.entries(values).forEach(([path, value]) => this.setSettingPath(settings, path, value));
+        this.saveSettings();
+        console.log("Settings saved:", values);
+        this.applySettings();
+        return true;
     }
 
     /**
-     * Check if date has changed and reload data if necessary
+     * A feature's saved section ({} when not set)
      */
-    checkDateChange(now) {
-        const todayKey = this.formatDateForApi(now);
-        // Also check if we crossed month boundary
-        const year = now.getFullYear();
-        const month = now.getMonth() + 1;
-        const cacheKey = `${this.state.currentZone}_${year}_${month}`;
+    getSettingsSection(section) {
+        const settings = this.settings || this.loadSettings();
+        return settings[section] || {};
+    }
 
-        if (todayKey !== this.state.currentDateKey) {
-            console.log("New day detected.", {
-                old: this.state.currentDateKey,
-                new: todayKey
-            });
+    /**
+     * Replace a feature's section and persist the settings
+     */
+    saveSettingsSection(section, value) {
+        const settings = this.settings || this.loadSettings();
+        settings[section] = value;
+        this.saveSettings();
+    }
 
-            if (!this.state.monthlyPrayerData[cacheKey]) {
-                // New month entered? Refresh data
-                this.handleZoneChange(this.state.currentZone);
-            } else {
-                this.loadPrayerTimesForDate(now);
-            }
+    /**
+     * Persist the settings object
+     */
+    saveSettings() {
+        try {
+            localStorage.setItem(this.SETTINGS_KEY, JSON.stringify(this.settings));
+        } catch (error) {
+            console.warn("Failed to save settings:", error);
         }
     }
 
     /**
-     * Update time and date displays
+     * Remember a zone picked on screen or detected by GPS (replacing a URL override)
      */
-    updateTimeDisplay(now) {
+    saveZone(zone) {
+        delete this.state.settingsOverrides["zone"];
+        const settings = this.settings || this.loadSettings();
+        settings.zone = zone;
+        this.saveSettings();
+    }
+
+    /**
+     * Read per-screen overrides from the URL query (?zone=SGR01&layout=tv&mute=1); they are never saved
+     */
+    applySettingsOverridesFromUrl(search = (window.location && window.location.search) || "") {
+        const params = new URLSearchParams(search);
+        const overrides = {};
+
+        Object.entries(this.SETTINGS_SCHEMA).forEach(([path, field]) => {
+            if (!field.param || !params.has(field.param)) return;
+            try {
+                overrides[path] = this.readSettingValue(path, params.get(field.param));
+            } catch (error) {
+                console.warn(`Ignoring URL parameter ${field.param}: ${error.message}`);
+            }
+        });
+
+        this.state.settingsOverrides = overrides;
+        if (Object.keys(overrides).length > 0) console.log("URL setting overrides:", overrides);
+        return overrides;
+    }
+
+    /**
+     * Apply layout and timing settings that don't need the prayer data reloaded
+     */
+    applyDisplaySettings() {
+        const layout = this.getSetting("display.layout");
+        this.SETTINGS_SCHEMA["display.layout"].values.forEach(name => {
+            document.body.classList.toggle(`layout-${name}`, name === layout);
+        });
+        document.body.classList.toggle("muted", this.getSetting("display.mute"));
+        this.core.IMSAK_OFFSET_MIN = this.getSetting("timing.imsakOffsetMin");
+        this.applyLanguage();
+        this.updateTheme(this.clock.now(), true);
+    }
+
+    /**
+     * Theme phase at a time: night until Syuruk, day until the evening lead before Maghrib,
+     * evening until the night delay after it. Without today's times the current phase is kept
+     */
+    getThemePhase(now) {
+        const mode = this.getSetting("theme.mode");
+        if (mode !== "auto") return mode;
+
+        const fallback = this.state.themeKey ? this.state.themeKey.split("/")[1] : "day";
+        const syuruk = this.state.todayPrayerTimes && this.state.todayPrayerTimes["Syuruk"];
+        const maghrib = this.state.todayPrayerTimes && this.state.todayPrayerTimes["Maghrib"];
+        if (!syuruk || !maghrib) return fallback;
+
+        try {
+            const sunrise = this.core.parseTime(syuruk);
+            const sunset = this.core.parseTime(maghrib);
+            const syurukMs = this.getTimeInMs(sunrise.hour, sunrise.minute);
+            const maghribMs = this.getTimeInMs(sunset.hour, sunset.minute);
+            const nowMs = now.getTime();
+
+            if (nowMs < syurukMs) return "night";
+            if (nowMs < maghribMs - this.getSetting("theme.eveningLeadMin") * 60 * 1000) return "day";
+            if (nowMs < maghribMs + this.getSetting("theme.nightDelayMin") * 60 * 1000) return "evening";
+            return "night";
+        } catch (error) {
+            console.warn("Error working out theme phase:", error);
+            return fallback;
+        }
+    }
+
+    /**
+     * Apply the theme pack and the palette/brightness of the current phase (body theme-* and
+     * phase-* classes, --theme-brightness); the CSS transitions between them
+     */
+    updateTheme(now, force = false) {
+        const pack = this.getSetting("theme.pack");
+        const phase = this.getThemePhase(now);
+        const brightness = this.getSetting(`theme.${phase}Brightness`);
+        const key = `${pack}/${phase}/${brightness}`;
+        if (!force && key === this.state.themeKey) return;
+
+        this.SETTINGS_SCHEMA["theme.pack"].values.forEach(name => {
+            document.body.classList.toggle(`theme-${name}`, name === pack);
+        });
+        ["day", "evening", "night"].forEach(name => {
+            document.body.classList.toggle(`phase-${name}`, name === phase);
+        });
+        document.documentElement.style.setProperty("--theme-brightness", String(brightness / 100));
+
+        if (this.state.themeKey && key !== this.state.themeKey) console.log(`Theme: ${pack}, ${phase} (${brightness}%)`);
+        this.state.themeKey = key;
+    }
+
+    /**
+     * Switch display language: text direction, static [data-i18n] text and the language picker
+     */
+    applyLanguage() {
+        const language = this.getSetting("display.language");
+        const second = this.getSetting("display.secondLanguage");
+        this.locale = Locales.getLocale(language);
+        this.core.locale = this.locale; // Core formatting (Hijri dates) follows the display language
+        this.secondLocale = second && second !== language && this.getSetting("display.layout") === "tv"
+            ? Locales.getLocale(second)
+            : null;
+
+        document.documentElement.lang = this.locale.lang;
+        document.documentElement.dir = this.locale.dir;
+        document.body.classList.toggle("bilingual", !!this.secondLocale);
+        document.querySelectorAll("[data-i18n]").forEach(element => {
+            element.textContent = this.translate(locale => locale.messages[element.getAttribute("data-i18n")]);
+        });
+
+        const selector = document.getElementById("language-select");
+        if (selector) selector.value = language;
+
+        if (this.state.timetableMonth) this.renderTimetable();
+        if (this.state.isInitialized) this.updateDataSourceDisplay();
+    }
+
+    /**
+     * Change and save the display language (replacing a URL override)
+     */
+    setLanguage(language) {
+        delete this.state.settingsOverrides["display.language"];
+        return this.updateSettings({ "display.language": language });
+    }
+
+    /**
+     * Re-apply every setting after an update or import
+     */
+    applySettings() {
+        this.applyDisplaySettings();
+        this.loadProviderConfig();
+        this.loadIqamahSettings();
+        this.loadAudioSchedule();
+        this.loadJumaatSettings();
+        this.loadRamadanSettings();
+        this.loadDashboardSettings();
+        this.loadIntegrationSettings();
+        if (!this.state.isInitialized) return;
+
+        this.startClockUpdates();
+        this.cacheAudioOffline();
+        this.loadDashboardZones();
+        this.updateJumaatInfo();
+
+        const zone = this.getSetting("zone");
+        if (zone && zone !== this.state.currentZone) {
+            this.state.currentZone = zone;
+            const selector = document.getElementById("zone-select");
+            if (selector) selector.value = zone;
+            this.handleZoneChange(zone);
+        } else {
+            this.renderPrayerLayout();
+            this.updateHijriDateDisplay();
+            this.rebuildTimeline();
+        }
+    }
+
+    /**
+     * Download the saved settings as JSON (to provision other screens); the admin PIN is left out
+     */
+    exportSettings() {
+        const settings = JSON.parse(JSON.stringify(this.settings || this.loadSettings()));
+        if (settings.admin) delete settings.admin.pin;
+        this.downloadFile(this.SETTINGS_EXPORT_FILE, JSON.stringify(settings, null, 2), "application/json");
+        return settings;
+    }
+
+    /**
+     * Replace the settings with an exported JSON file (text or object); throws if it's invalid.
+     * Invalid fields and sections fall back to the defaults; this screen's PIN is kept unless the file has one
+     */
+    importSettings(json) {
+        const imported = typeof json === "string" ? JSON.parse(json) : json;
+        if (!imported || typeof imported !== "object" || !Number.isInteger(imported.version) || imported.version < 1) {
+            throw new Error("Missing settings version");
+        }
+
+        const pin = this.getSettingPath(this.settings || this.loadSettings(), "admin.pin");
+        const settings = this.normalizeSettings(this.migrateSettings(imported));
+        if (this.getSettingPath(imported, "admin.pin") === undefined) this.setSettingPath(settings, "admin.pin", pin);
+
+        this.settings = settings;
+        this.saveSettings();
+        console.log("Settings imported:", this.settings);
+        this.applySettings();
+        return this.settings;
+    }
+
+    /**
+     * Apply provider order and mirror URL from the settings (defaults when not set)
+     */
+    loadProviderConfig() {
+        const config = this.getSettingsSection("providers");
+        const order = Array.isArray(config.order) ? config.order.filter(id => this.providers[id]) : [];
+
+        this.core.PROVIDER_ORDER = order.length > 0 ? order : this.DEFAULT_PROVIDER_ORDER.slice();
+        this.core.MIRROR_URL = typeof config.mirrorUrl === "string" ? config.mirrorUrl : "";
+    }
+
+    /**
+     * Change provider order and/or mirror URL and persist them (for debugging/admin)
+     */
+    setProviderConfig(order = this.core.PROVIDER_ORDER, mirrorUrl = this.core.MIRROR_URL) {
+        try {
+            this.readSettingsSection("providers", { order, mirrorUrl });
+        } catch (error) {
+            console.error(error.message);
+            return;
+        }
+
+        this.core.PROVIDER_ORDER = order;
+        this.core.MIRROR_URL = mirrorUrl;
+        this.saveSettingsSection("providers", { order, mirrorUrl });
+        console.log("Provider config saved:", { order, mirrorUrl });
+    }
+
+    /**
+     * Label of the provider serving the current zone/month
+     */
+    getDataSourceLabel() {
+        const provider = this.providers[this.getDataSourceId()];
+        return provider ? provider.label : "JAKIM";
+    }
+
+    /**
+     * Id of the provider serving the current zone/month, if loaded
+     */
+    getDataSourceId() {
+        const today = this.clock.today();
+        const monthKey = `${this.state.currentZone}_${today.getFullYear()}_${today.getMonth() + 1}`;
+        return this.state.monthlySources[monthKey] || null;
+    }
+
+    /**
+     * Compare calculated times with the JAKIM CSV timetable for a zone (default: bundled CSV)
+     * Reports per prayer the mean/max difference in minutes (JAKIM minus calculated)
+     */
+    compareCalculatedWithCSV(zone = this.CSV_DEFAULT_ZONE) {
+        const prefix = `${zone}_`;
+        const csvDays = Object.keys(this.state.csvPrayerData)
+            .filter(key => key.startsWith(prefix))
+            .flatMap(key => this.state.csvPrayerData[key]);
+
+        if (csvDays.length === 0) {
+            console.log(`No CSV data loaded for ${zone}`);
+            return null;
+        }
+
+        const toMinutes = timeStr => {
+            const { hour, minute } = this.core.parseTime(timeStr);
+            return hour * 60 + minute;
+        };
+
+        const report = {};
+        this.PRAYER_NAMES.forEach(name => {
+            const field = this.API_FIELD_NAMES[name];
+            const diffs = csvDays.map(day => {
+                const date = this.core.parseCSVDate(day.date);
+                const calculated = this.calculator.calculateDay(zone, date.getFullYear(), date.getMonth() + 1, date.getDate());
+                return toMinutes(day[field]) - toMinutes(calculated[field]);
+            });
+
+            report[name] = {
+                days: diffs.length,
+                meanDiff: Number((diffs.reduce((sum, d) => sum + d, 0) / diffs.length).toFixed(2)),
+                maxAbsDiff: Math.max(...diffs.map(Math.abs)),
+                exactPct: Math.round(100 * diffs.filter(d => d === 0).length / diffs.length),
+                within1MinPct: Math.round(100 * diffs.filter(d => Math.abs(d) <= 1).length / diffs.length)
+            };
+        });
+
+        console.log(`=== Calculated vs JAKIM CSV (${zone}) ===`);
+        console.table(report);
+        return report;
+    }
+
+    /**
+     * Load the bundled JAKIM CSV plus any CSVs previously imported by the admin
+     */
+    async loadCSVData() {
+        try {
+            const response = await fetch(this.CSV_DEFAULT_FILE);
+            if (!response.ok) throw new Error(`HTTP error ${response.status}`);
+            this.addCSVData(this.CSV_DEFAULT_ZONE, await response.text());
+        } catch (error) {
+            console.warn(`Failed to load ${this.CSV_DEFAULT_FILE}:`, error);
+        }
+
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (!key || !key.startsWith(this.CSV_STORAGE_PREFIX)) continue;
+
+            try {
+                this.addCSVData(key.slice(this.CSV_STORAGE_PREFIX.length), localStorage.getItem(key));
+            } catch (error) {
+                console.warn(`Ignoring invalid stored CSV ${key}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Import a JAKIM CSV chosen from the file picker for the current zone
+     */
+    async importCSVFile(file) {
+        if (!file) return;
+
+        const zone = this.state.currentZone;
+        try {
+            const csvText = await file.text();
+            const dayCount = this.addCSVData(zone, csvText);
+
+            try {
+                localStorage.setItem(`${this.CSV_STORAGE_PREFIX}${zone}`, csvText);
+            } catch (e) {
+                console.warn("Storage quota exceeded", e);
+            }
+
+            console.log(`Imported ${dayCount} days from ${file.name} for ${zone}`);
+            this.showError(Locales.formatMessage(this.locale.messages.csvImported, { days: dayCount, zone }));
+
+            if (!this.hasPrayerTimes()) {
+                await this.handleZoneChange(zone);
+            }
+        } catch (error) {
+            console.error(`Failed to import ${file.name}:`, error);
+            this.showError(Locales.formatMessage(this.locale.messages.csvImportError, { error: error.message }));
+        }
+    }
+
+    /**
+     * Parse CSV text and register its months for a zone. Returns number of days parsed.
+     */
+    addCSVData(zone, csvText) {
+        const dayCount = this.core.addCSVData(zone, csvText);
+
+        if (zone === this.state.currentZone || !this.state.csvDataRaw) {
+            this.state.csvDataRaw = csvText;
+        }
+
+        return dayCount;
+    }
+
+    /**
+     * Parse and load prayer times for a specific date using cached JSON data
+     */
+    loadPrayerTimesForDate(date) {
+        const year = date.getFullYear();
+        const month = date.getMonth() + 1;
+        const cacheKey = `${this.state.currentZone}_${year}_${month}`;
+
+        // Ensure data for this month is loaded
+        if (!this.state.monthlyPrayerData[cacheKey]) {
+            console.log("Data for this month not loaded yet, fetching...", cacheKey);
+            this.fetchPrayerData(this.state.currentZone, year, month).then(() => {
+                this.loadPrayerTimesForDate(date);
+            }).catch(e => console.error(e));
+            return false;
+        }
+
+        // Get array of days for this month
+        const monthData = this.state.monthlyPrayerData[cacheKey];
+        if (!monthData) return false;
+
+        // Find the specific day
+        const apiDateKey = this.core.formatDateForApi(date);
+        const dayData = monthData.find(d => d.date === apiDateKey);
+
+        if (dayData) {
+            const zone = this.state.currentZone;
+            const previousZone = this.state.loadedZone;
+            this.state.todayPrayerTimes = this.core.buildPrayerTimes(dayData, date);
+            this.state.currentHijriDate = dayData.hijri;
+            this.state.currentDateKey = apiDateKey;
+            this.state.loadedZone = zone;
+            this.loadNextDayTimes(date);
+
+            this.updateHijriDateDisplay();
+            this.renderPrayerLayout();
+            this.updateJumaatInfo();
+            this.updateDataSourceDisplay();
+            this.renderDashboard();
+            this.rebuildTimeline();
+
+            if (previousZone && previousZone !== zone) {
+                this.emit("zonechange", { zone, previousZone });
+            }
+            this.emit("prayertimesloaded", {
+                zone,
+                date: apiDateKey,
+                hijri: dayData.hijri,
+                times: { ...this.state.todayPrayerTimes },
+                tomorrow: { ...this.state.tomorrowPrayerTimes },
+                source: this.getDataSourceId()
+            });
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Load the following day's times, prefetching next month's data on the last day
+     * so the night between the 31st and the 1st still counts down to Subuh
+     */
+    loadNextDayTimes(date) {
+        const next = this.clock.addDays(date, 1);
+        const cacheKey = `${this.state.currentZone}_${next.getFullYear()}_${next.getMonth() + 1}`;
+        const monthData = this.state.monthlyPrayerData[cacheKey];
+
+        if (!monthData) {
+            this.state.tomorrowPrayerTimes = {};
+            this.state.tomorrowDateKey = null;
+            console.log("Prefetching next month for tomorrow's times...", cacheKey);
+            this.fetchPrayerData(this.state.currentZone, next.getFullYear(), next.getMonth() + 1).then(() => {
+                // Only apply if today hasn't moved on or changed zone meanwhile
+                if (this.state.currentDateKey === this.core.formatDateForApi(date) &&
+                    this.state.monthlyPrayerData[cacheKey]) {
+                    this.loadNextDayTimes(date);
+                    this.rebuildTimeline();
+                }
+            }).catch(e => console.warn("Failed to prefetch next month:", e));
+            return;
+        }
+
+        const nextKey = this.core.formatDateForApi(next);
+        const dayData = monthData.find(d => d.date === nextKey);
+        this.state.tomorrowPrayerTimes = dayData ? this.core.buildPrayerTimes(dayData, next) : {};
+        this.state.tomorrowDateKey = dayData ? nextKey : null;
+    }
+
+    /**
+     * Format long date for display
+     */
+    formatLongDate(date, locale = this.locale) {
+        return Locales.formatMessage(locale.dateFormat, {
+            day: locale.days[date.getDay()],
+            date: String(date.getDate()).padStart(2, '0'),
+            month: locale.months[date.getMonth()],
+            year: date.getFullYear()
+        });
+    }
+
+    /**
+     * Get the instant (ms) of a Malaysian time today
+     */
+    getTimeInMs(hour, minute) {
+        return this.clock.instant(this.clock.today(), hour, minute);
+    }
+
+    /**
+     * Name of the prayer layout for this screen: from display.layout, or the grid on
+     * portrait tablets and the table elsewhere when "auto"
+     */
+    getPrayerLayoutName() {
+        const layout = this.getSetting("display.layout");
+        if (this.PRAYER_LAYOUTS[layout]) return this.PRAYER_LAYOUTS[layout];
+
+        const portrait = typeof window.matchMedia === "function" && window.matchMedia(this.PORTRAIT_TABLET_QUERY).matches;
+        return portrait ? "grid" : "table";
+    }
+
+    /**
+     * Display state shared by every prayer layout: today's prayers (Imsak only during Ramadan)
+     * with their status, and the countdown to the next prayer
+     */
+    getPrayerView(now) {
+        const nowMs = now.getTime();
+        const prayers = this.getDisplayPrayerNames()
+            .filter(name => this.state.todayPrayerTimes[name])
+            .map(name => ({
+                name,
+                label: this.translate(locale => this.getPrayerName(name, locale)),
+                time: Locales.toLocaleDigits(this.state.todayPrayerTimes[name], this.locale),
+                status: this.getPrayerStatus(name, nowMs)
+            }));
+
+        let next = null;
+        if (this.state.nextPrayer && this.state.nextTimeMs !== null) {
+            const { hours, mins, secs } = this.core.formatTimeDifference(Math.max(0, this.state.nextTimeMs - nowMs));
+            const countdown = [hours, mins, secs].map(value => String(value).padStart(2, '0')).join(":");
+            next = {
+                name: this.state.nextPrayer,
+                label: this.translate(locale => this.getPrayerName(this.state.nextPrayer, locale)),
+                countdown: Locales.toLocaleDigits(countdown, this.locale)
+            };
+        }
+
+        return { prayers, next, doneText: this.translate(locale => locale.messages.allPrayersComplete) };
+    }
+
+    /**
+     * "current", "passed" (after a grace period) or "upcoming" for a displayed prayer
+     */
+    getPrayerStatus(name, nowMs) {
+        if (name === this.state.currentPrayer) return "current";
+
+        try {
+            const { hour, minute } = this.core.parseTime(this.state.todayPrayerTimes[name]);
+            return nowMs > this.getTimeInMs(hour, minute) + this.PASSED_GRACE_MS ? "passed" : "upcoming";
+        } catch (error) {
+            console.warn(`Error parsing time for ${name}:`, error);
+            return "upcoming";
+        }
+    }
+
+    /**
+     * Draw today's prayers with the layout for this screen (new day, language, layout or settings)
+     */
+    renderPrayerLayout() {
+        const container = document.getElementById("prayer-layout");
+        if (!container) return;
+
+        const name = this.getPrayerLayoutName();
+        container.className = `prayer-layout prayer-layout-${name}`;
+        this.state.prayerLayout = name;
+        Layouts.LAYOUTS[name].render(container, this.getPrayerView(this.clock.now()));
+    }
+
+    /**
+     * Redraw when a tablet on the "auto" layout is rotated
+     */
+    setupLayoutWatcher() {
+        if (typeof window.matchMedia !== "function") return;
+
+        const query = window.matchMedia(this.PORTRAIT_TABLET_QUERY);
+        const handleChange = () => {
+            if (this.hasPrayerTimes() && this.getPrayerLayoutName() !== this.state.prayerLayout) {
+                this.renderPrayerLayout();
+            }
+        };
+        if (query.addEventListener) {
+            query.addEventListener("change", handleChange);
+        } else {
+            query.addListener(handleChange); // Older Safari
+        }
+    }
+
+    /**
+     * Main clock update function with optimized checks
+     */
+    updateClock() {
+        if (!this.state.isInitialized) return;
+
+        const now = this.clock.now();
+
+        // Check for date change (only once per minute to optimize performance)
+        if (this.clock.parts(now).second === 0) {
+            this.checkDateChange(now);
+        }
+
+        this.updateTimeDisplay(now);
+        this.checkAndUpdatePrayerHighlight(now);
+        this.updateNextPrayerTimer(now);
+        this.updatePrayerHighlight(now);
+        this.updateIqamahPhase(now);
+        this.updateRamadanDisplay(now);
+        this.updateDashboard(now);
+        this.updateSimulationBanner(now);
+        this.updateTheme(now);
+        this.runDueEvents();
+    }
+
+    /**
+     * Prayer cells shown in the table: Imsak is added during Ramadan
+     */
+    getDisplayPrayerNames() {
+        return this.isRamadan() ? ["Imsak", ...this.DISPLAY_PRAYER_NAMES] : this.DISPLAY_PRAYER_NAMES;
+    }
+
+    /**
+     * Whether Ramadan mode applies, from the setting or the loaded day's Hijri month
+     */
+    isRamadan() {
+        return this.core.isRamadanDay(this.state.currentHijriDate, this.state.ramadanSettings);
+    }
+
+    /**
+     * Load Ramadan settings, filling gaps from the defaults
+     */
+    loadRamadanSettings() {
+        const defaults = this.DEFAULT_RAMADAN_SETTINGS;
+        const saved = this.getSettingsSection("ramadan");
+
+        this.state.ramadanSettings = {
+            ...defaults,
+            ...saved,
+            sahur: { ...defaults.sahur, ...(saved.sahur || {}) },
+            imsakAlert: { ...defaults.imsakAlert, ...(saved.imsakAlert || {}) }
+        };
+    }
+
+    /**
+     * Update and persist Ramadan settings, e.g. { mode: "on", sahur: { enabled: true, time: "04:15" } }
+     */
+    setRamadanSettings(changes) {
+        if (!this.state.ramadanSettings) this.loadRamadanSettings();
+        const current = this.state.ramadanSettings;
+        const updated = {
+            ...current,
+            ...changes,
+            sahur: { ...current.sahur, ...((changes && changes.sahur) || {}) },
+            imsakAlert: { ...current.imsakAlert, ...((changes && changes.imsakAlert) || {}) }
+        };
+
+        try {
+            this.readSettingsSection("ramadan", updated);
+        } catch (error) {
+            console.error(error.message);
+            return;
+        }
+
+        this.state.ramadanSettings = updated;
+        this.saveSettingsSection("ramadan", updated);
+        this.cacheAudioOffline();
+        console.log("Ramadan settings saved:", updated);
+        this.renderPrayerLayout();
+        this.rebuildTimeline();
+    }
+
+    /**
+     * Ramadan layout: Imsak countdown until Imsak, then "Berbuka dalam" until Maghrib
+     */
+    updateRamadanDisplay(now) {
+        const active = this.hasPrayerTimes() && this.isRamadan();
+        document.body.classList.toggle("ramadan-mode", active);
+
+        const countdownElement = document.getElementById("ramadan-countdown");
+        if (!active || !countdownElement) return;
+
+        const nowMs = now.getTime();
+        const targets = [
+            { name: "Imsak", message: "imsakCountdownFormat" },
+            { name: "Maghrib", message: "iftarCountdownFormat" }
+        ];
+
+        for (const target of targets) {
+            const timeStr = this.state.todayPrayerTimes[target.name];
+            if (!timeStr) continue;
+
+            try {
+                const { hour, minute } = this.core.parseTime(timeStr);
+                const targetMs = this.getTimeInMs(hour, minute);
+                if (targetMs <= nowMs) continue;
+
+                const { hours, mins, secs } = this.core.formatTimeDifference(targetMs - nowMs);
+                const values = {
+                    hours: String(hours).padStart(2, '0'),
+                    mins: String(mins).padStart(2, '0'),
+                    secs: String(secs).padStart(2, '0')
+                };
+                countdownElement.textContent = this.translate(locale => Locales.formatMessage(locale.messages[target.message], values));
+                return;
+            } catch (error) {
+                console.warn(`Error parsing time for ${target.name}:`, error);
+            }
+        }
+
+        // After Maghrib: nothing left to count down to today
+        countdownElement.textContent = "";
+    }
+
+    /**
+     * Load iqamah offsets, filling gaps from the defaults
+     */
+    loadIqamahSettings() {
+        const defaults = this.DEFAULT_IQAMAH_SETTINGS;
+        const saved = this.getSettingsSection("iqamah");
+
+        this.state.iqamahSettings = {
+            ...defaults,
+            ...saved,
+            offsets: { ...defaults.offsets, ...(saved.offsets || {}) }
+        };
+    }
+
+    /**
+     * Set the iqamah offset in minutes for a prayer and persist it
+     */
+    setIqamahOffset(prayerName, minutes) {
+        if (!this.DISPLAY_PRAYER_NAMES.includes(prayerName) || prayerName === "Syuruk") {
+            console.error(`Invalid prayer name: ${prayerName}`);
+            return;
+        }
+
+        const value = Number(minutes);
+        if (!Number.isFinite(value) || value < 0 || value > 60) {
+            console.error(`Invalid iqamah offset: ${minutes}. Use 0-60 minutes`);
+            return;
+        }
+
+        if (!this.state.iqamahSettings) this.loadIqamahSettings();
+        this.state.iqamahSettings.offsets[prayerName] = value;
+        this.saveSettingsSection("iqamah", this.state.iqamahSettings);
+        console.log(`Iqamah for ${prayerName} set to ${value} minutes`);
+        this.rebuildTimeline();
+    }
+
+    /**
+     * Enter/leave the iqamah countdown phase that follows each prayer time
+     */
+    updateIqamahPhase(now) {
+        const settings = this.state.iqamahSettings;
+        if (!settings || !this.hasPrayerTimes()) return;
+
+        const nowMs = now.getTime();
+        let active = null;
+
+        for (const name of this.DISPLAY_PRAYER_NAMES) {
+            // On Fridays the Zohor slot counts down to the khutbah instead
+            const isJumaat = name === "Zohor" && this.isJumaatToday();
+            const offsetMin = isJumaat ? this.state.jumaatSettings.khutbahOffsetMin : settings.offsets[name];
+            const timeStr = this.state.todayPrayerTimes[name];
+            if (!offsetMin || !timeStr) continue;
+
+            try {
+                const { hour, minute } = this.core.parseTime(timeStr);
+                const prayerMs = this.getTimeInMs(hour, minute);
+                const iqamahMs = prayerMs + offsetMin * 60 * 1000;
+
+                if (nowMs >= prayerMs && nowMs < iqamahMs) {
+                    active = { prayer: name, iqamahMs, isJumaat };
+                }
+            } catch (error) {
+                console.warn(`Error parsing time for ${name}:`, error);
+            }
+        }
+
+        this.state.iqamah = active;
+        document.body.classList.toggle("iqamah-mode", !!active);
+        if (!active) return;
+
+        const labelElement = document.getElementById("iqamah-label");
+        const timerElement = document.getElementById("iqamah-timer");
+        const { hours, mins, secs } = this.core.formatTimeDifference(active.iqamahMs - nowMs);
+
+        if (labelElement) {
+            labelElement.textContent = this.translate(locale => (active.isJumaat
+                ? locale.messages.khutbahFormat
+                : Locales.formatMessage(locale.messages.iqamahFormat, { prayer: this.getPrayerName(active.prayer, locale) })));
+        }
+        if (timerElement) {
+            timerElement.textContent = Locales.toLocaleDigits(
+                `${String(hours * 60 + mins).padStart(2, '0')}:${String(secs).padStart(2, '0')}`, this.locale);
+        }
+    }
+
+    /**
+     * Play the iqamah audio file if available, otherwise a short generated beep
+     */
+    playIqamahAlert() {
+        const audioFile = this.state.iqamahSettings.audioFile;
+        if (audioFile && this.state.audioCache.has(audioFile)) {
+            this.playAudio(audioFile);
+            return;
+        }
+
+        this.playBeep();
+    }
+
+    /**
+     * Three short generated beeps, for alerts without an audio file
+     */
+    playBeep() {
+        if (this.isAudioMuted("beep")) return;
+
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return;
+
+        try {
+            const context = new AudioContextClass();
+            // Three short beeps
+            [0, 0.4, 0.8].forEach(start => {
+                const oscillator = context.createOscillator();
+                const gain = context.createGain();
+                oscillator.frequency.value = 880;
+                gain.gain.value = 0.3;
+                oscillator.connect(gain);
+                gain.connect(context.destination);
+                oscillator.start(context.currentTime + start);
+                oscillator.stop(context.currentTime + start + 0.25);
+            });
+            setTimeout(() => context.close(), 1500);
+        } catch (error) {
+            console.warn("Failed to play beep:", error);
+        }
+    }
+
+    /**
+     * Check if date has changed and reload data if necessary
+     */
+    checkDateChange(now) {
+        const today = this.clock.today(now);
+        const todayKey = this.core.formatDateForApi(today);
+        // Also check if we crossed month boundary
+        const year = today.getFullYear();
+        const month = today.getMonth() + 1;
+        const cacheKey = `${this.state.currentZone}_${year}_${month}`;
+
+        if (todayKey !== this.state.currentDateKey) {
+            console.log("New day detected.", {
+                old: this.state.currentDateKey,
+                new: todayKey
+            });
+            const newMonth = !this.state.currentDateKey || !this.state.currentDateKey.endsWith(todayKey.slice(2));
+            this.emit("daychange", { date: todayKey, previousDate: this.state.currentDateKey, simulated: !!this.state.simulation });
+
+            if (!this.state.monthlyPrayerData[cacheKey]) {
+                // New month entered? Refresh data
+                this.handleZoneChange(this.state.currentZone);
+            } else {
+                this.loadPrayerTimesForDate(today);
+            }
+
+            // Drop months no longer needed (next month may already be prefetched)
+            if (newMonth) this.evictCachedMonths();
+            this.loadDashboardZones();
+        }
+    }
+
+    /**
+     * Update time and date displays
+     */
+    updateTimeDisplay(now) {
         const timeElement = document.getElementById("current-time");
         const dateElement = document.getElementById("gregorian-date");
 
-        if (timeElement) {
-            timeElement.textContent = now.toLocaleTimeString([], {
-                hour: '2-digit',
-                minute: '2-digit',
-                hour12: true
+        if (timeElement) {
+            timeElement.textContent = Locales.toLocaleDigits(this.formatClockTime(now), this.locale);
+        }
+
+        if (dateElement) {
+            const today = this.clock.today(now);
+            dateElement.textContent = this.translate(locale => this.formatLongDate(today, locale));
+        }
+    }
+
+    /**
+     * "hh:mm AM" Malaysian time with the locale's AM/PM labels
+     */
+    formatClockTime(now, locale = this.locale) {
+        const [hour, minute] = this.clock.formatTime(now).split(":").map(Number);
+        const hour12 = hour % 12 || 12;
+        return `${String(hour12).padStart(2, '0')}:${String(minute).padStart(2, '0')} ${locale.ampm[hour < 12 ? 0 : 1]}`;
+    }
+
+    /**
+     * Enhanced Hijri date display with day name and formatted date
+     */
+    updateHijriDateDisplay() {
+        const hijriElement = document.getElementById("hijri-date");
+        if (hijriElement && this.state.currentHijriDate) {
+            hijriElement.textContent = this.translate(locale => this.core.formatHijriDate(this.state.currentHijriDate, locale));
+        }
+    }
+
+    /**
+     * Work out the current prayer (including Imsak), emitting prayerstart when one begins
+     */
+    checkAndUpdatePrayerHighlight(now) {
+        if (!this.hasPrayerTimes()) return;
+
+        let currentPrayer = null;
+        let currentTimeMs = null;
+        const nowMs = now.getTime();
+
+        // Check all prayers including Imsak for current prayer logic
+        for (const name of this.PRAYER_NAMES) {
+            const timeStr = this.state.todayPrayerTimes[name];
+            if (!timeStr) continue;
+
+            try {
+                const { hour, minute } = this.core.parseTime(timeStr);
+                const timeMs = this.getTimeInMs(hour, minute);
+                if (nowMs >= timeMs) {
+                    currentPrayer = name;
+                    currentTimeMs = timeMs;
+                }
+            } catch (error) {
+                console.warn(`Error parsing time for ${name}:`, error);
+                continue;
+            }
+        }
+
+        if (currentPrayer !== this.state.currentPrayer) {
+            this.state.currentPrayer = currentPrayer;
+            if (this.state.simulation) this.recordSimulation("highlight", currentPrayer || "-");
+
+            // Only when the time has just come, not when loading mid-prayer or switching zone
+            if (currentPrayer && currentPrayer !== "Imsak" && nowMs - currentTimeMs <= this.getCatchUpMs()) {
+                this.emit("prayerstart", {
+                    zone: this.state.currentZone,
+                    prayer: currentPrayer,
+                    label: this.getPrayerLabel(currentPrayer),
+                    time: this.state.todayPrayerTimes[currentPrayer],
+                    timeMs: currentTimeMs,
+                    simulated: !!this.state.simulation
+                });
+            }
+        }
+    }
+
+    /**
+     * Refresh current/passed marks and countdowns in the drawn prayer layout
+     */
+    updatePrayerHighlight(now) {
+        const container = document.getElementById("prayer-layout");
+        const layout = Layouts.LAYOUTS[this.state.prayerLayout];
+        if (!container || !layout || !this.hasPrayerTimes()) return;
+
+        layout.update(container, this.getPrayerView(now));
+    }
+
+    /**
+     * Update next prayer timer with improved logic
+     */
+    updateNextPrayerTimer(now) {
+        const timerElement = document.getElementById("next-prayer-timer");
+
+        if (!this.hasPrayerTimes()) {
+            if (timerElement) timerElement.textContent = this.translate(locale => locale.messages.loading);
+            return;
+        }
+
+        const next = this.core.findNextPrayer(this.state.todayPrayerTimes, this.state.tomorrowPrayerTimes, now);
+        const previousPrayer = this.state.nextPrayer;
+        const previousTimeMs = this.state.nextTimeMs;
+
+        // Update state
+        this.state.nextPrayer = next ? next.prayer : null;
+        this.state.nextTimeMs = next ? next.timeMs : null;
+
+        if (this.state.nextTimeMs !== previousTimeMs) {
+            this.emit("nextprayerchanged", {
+                zone: this.state.currentZone,
+                prayer: this.state.nextPrayer,
+                label: next ? this.getPrayerLabel(next.prayer) : null,
+                timeMs: this.state.nextTimeMs,
+                previousPrayer
+            });
+        }
+
+        if (!timerElement) return;
+        if (!next) {
+            timerElement.textContent = this.translate(locale => locale.messages.allPrayersComplete);
+            return;
+        }
+
+        timerElement.textContent = this.translate(locale => this.formatNextPrayer(next.prayer, next.timeMs - now.getTime(), locale));
+    }
+
+    /**
+     * "Waktu Solat (X) dalam HHj MMm SSs" text for a countdown, in the given language
+     */
+    formatNextPrayer(prayerName, diffMs, locale = this.locale) {
+        const { hours, mins, secs } = this.core.formatTimeDifference(diffMs);
+
+        return Locales.formatMessage(locale.messages.nextPrayerFormat, {
+            prayer: this.getPrayerName(prayerName, locale),
+            hours: String(hours).padStart(2, '0'),
+            mins: String(mins).padStart(2, '0'),
+            secs: String(secs).padStart(2, '0')
+        });
+    }
+
+    /**
+     * Text rendered in the display language and, on a second line, the second language (TV layout)
+     */
+    translate(render) {
+        const text = Locales.toLocaleDigits(render(this.locale), this.locale);
+        if (!this.secondLocale) return text;
+        return `${text}\n${Locales.toLocaleDigits(render(this.secondLocale), this.secondLocale)}`;
+    }
+
+    /**
+     * Precompute today's audio/alert events from the core schedule and attach what each one does
+     */
+    buildDayTimeline() {
+        const events = this.core.buildDayEvents({
+            date: this.clock.today(),
+            dateKey: this.state.currentDateKey,
+            times: this.state.todayPrayerTimes,
+            tomorrowTimes: this.state.tomorrowPrayerTimes,
+            tomorrowDateKey: this.state.tomorrowDateKey,
+            audioSchedule: this.state.audioSchedule || this.DEFAULT_AUDIO_SCHEDULE,
+            jumaat: this.state.jumaatSettings,
+            iqamah: this.state.iqamahSettings,
+            ramadan: this.state.ramadanSettings
+        });
+
+        return events.map(event => ({ ...event, action: this.getEventAction(event) }));
+    }
+
+    /**
+     * What a scheduled event does when it runs
+     */
+    getEventAction(event) {
+        if (event.type === "change") {
+            return () => this.checkDateChange(this.clock.now());
+        }
+        if (event.type === "iqamah") {
+            // Silent when the alert is off; the event still reaches the integrations
+            return () => {
+                if (event.alert) this.playIqamahAlert();
+            };
+        }
+        if (event.type === "alert") {
+            // Imsak alert beeps when its file isn't available
+            return () => {
+                if (this.state.audioCache.has(event.file)) {
+                    this.playAudio(event.file, event.volume);
+                } else {
+                    this.playBeep();
+                }
+            };
+        }
+        return () => this.playAudio(event.file, event.volume);
+    }
+
+    /**
+     * Rebuild the pending timeline after new times or settings, skipping events
+     * already fired/missed today and those that passed before the app was running
+     */
+    rebuildTimeline() {
+        if (!this.hasPrayerTimes()) return;
+
+        const logged = new Set(this.getActiveEventLog().map(entry => entry.id));
+        let cutoffMs = this.clock.now().getTime() - this.getCatchUpMs();
+        // A simulation only plays what happens after its start time
+        if (this.state.simulation) cutoffMs = Math.max(cutoffMs, this.state.simulation.startMs);
+
+        this.state.timeline = this.buildDayTimeline()
+            .filter(event => !logged.has(event.id) && event.timeMs >= cutoffMs);
+
+        console.log(`Scheduled ${this.state.timeline.length} events for ${this.state.currentDateKey}`);
+        this.armNextEvent();
+    }
+
+    /**
+     * Arm a timer for the next pending event (capped so sleep/throttling is caught up quickly)
+     */
+    armNextEvent() {
+        if (this.state.eventTimer) {
+            clearTimeout(this.state.eventTimer);
+            this.state.eventTimer = null;
+        }
+
+        const next = this.state.timeline[0];
+        if (!next) return;
+
+        // Timers run in real time, so divide by the clock rate when simulating
+        const delay = Math.min(Math.max(0, next.timeMs - this.clock.now().getTime()) / this.clock.rate, this.EVENT_MAX_TIMER_MS);
+        this.state.eventTimer = setTimeout(() => {
+            this.state.eventTimer = null;
+            this.runDueEvents();
+            this.armNextEvent();
+        }, delay);
+    }
+
+    /**
+     * Run every event whose time has come: play it if within the catch-up window, otherwise log it as missed
+     */
+    runDueEvents() {
+        const nowMs = this.clock.now().getTime();
+        const due = [];
+        while (this.state.timeline.length && this.state.timeline[0].timeMs <= nowMs) {
+            due.push(this.state.timeline.shift());
+        }
+        if (!due.length) return;
+
+        for (const event of due) {
+            const lateMs = nowMs - event.timeMs;
+            if (lateMs > this.getCatchUpMs() && !event.required) {
+                console.warn(`Missed ${event.type} for ${event.prayer} (${Math.round(lateMs / 1000)}s late)`);
+                this.logEvent(event, "missed", lateMs);
+                continue;
+            }
+
+            console.log(`Running ${event.type} for ${event.prayer}`);
+            this.logEvent(event, "fired", lateMs);
+            try {
+                event.action();
+            } catch (error) {
+                console.error(`Error running ${event.id}:`, error);
+            }
+
+            if (event.type === "recite") {
+                this.emit("recitationstart", {
+                    zone: this.state.currentZone,
+                    prayer: event.prayer,
+                    label: this.getPrayerLabel(event.prayer),
+                    file: event.file,
+                    timeMs: event.timeMs,
+                    simulated: !!this.state.simulation
+                });
+            }
+
+            const integrationEvent = this.getIntegrationEvent(event);
+            if (integrationEvent) {
+                this.notifyIntegrations(integrationEvent, { prayer: event.prayer, type: event.type, timeMs: event.timeMs });
+            }
+        }
+
+        this.armNextEvent();
+    }
+
+    /**
+     * Record a fired/missed event, keeping the most recent EVENT_LOG_LIMIT entries
+     */
+    logEvent(event, status, lateMs) {
+        if (this.state.simulation) {
+            this.recordSimulation(event.type, event.prayer, status);
+            return;
+        }
+
+        const log = this.state.eventLog;
+        log.push({
+            id: event.id,
+            prayer: event.prayer,
+            type: event.type,
+            status,
+            scheduled: this.clock.formatTime(event.timeMs),
+            lateSec: Math.round(lateMs / 1000)
+        });
+        if (log.length > this.EVENT_LOG_LIMIT) log.splice(0, log.length - this.EVENT_LOG_LIMIT);
+
+        try {
+            localStorage.setItem(this.EVENT_LOG_KEY, JSON.stringify(log));
+        } catch (e) {
+            console.warn("Failed to save event log", e);
+        }
+    }
+
+    /**
+     * Catch-up window in clock time (a simulated clock jumps rate seconds per tick)
+     */
+    getCatchUpMs() {
+        return this.EVENT_CATCH_UP_MS * this.clock.rate;
+    }
+
+    /**
+     * The simulation log while simulating, else the persisted event log
+     */
+    getActiveEventLog() {
+        return this.state.simulation ? this.state.simulation.log : this.state.eventLog;
+    }
+
+    /**
+     * Restore the event log so a reload doesn't replay events that already fired
+     */
+    loadEventLog() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.EVENT_LOG_KEY) || "[]");
+            this.state.eventLog = Array.isArray(saved) ? saved : [];
+        } catch (e) {
+            console.warn("Ignoring invalid event log", e);
+            this.state.eventLog = [];
+        }
+    }
+
+    /**
+     * Most recent fired/missed events (for debugging)
+     */
+    getEventLog(limit = 20) {
+        return this.state.eventLog.slice(-limit);
+    }
+
+    /**
+     * Pending events for today with their scheduled times (for debugging)
+     */
+    getTimeline() {
+        return this.state.timeline.map(({ id, prayer, type, timeMs }) => ({
+            id, prayer, type, time: this.clock.formatTime(timeMs)
+        }));
+    }
+
+    /**
+     * Load integration settings, filling gaps from the defaults
+     */
+    loadIntegrationSettings() {
+        const defaults = this.DEFAULT_INTEGRATION_SETTINGS;
+        const saved = this.getSettingsSection("integrations");
+        this.state.integrationSettings = {
+            ...defaults,
+            ...saved,
+            events: { ...defaults.events, ...(saved.events || {}) },
+            mqtt: { ...defaults.mqtt, ...(saved.mqtt || {}) },
+            webhooks: Array.isArray(saved.webhooks) ? saved.webhooks : defaults.webhooks
+        };
+    }
+
+    /**
+     * Update and persist integration settings, e.g. { webhooks: ["http://ha.local:8123/api/webhook/solat"] }
+     * or { mqtt: { enabled: true, url: "ws://192.168.1.10:9001" } }
+     */
+    setIntegrationSettings(changes) {
+        if (!this.state.integrationSettings) this.loadIntegrationSettings();
+        const current = this.state.integrationSettings;
+        const updated = {
+            ...current,
+            ...changes,
+            events: { ...current.events, ...(changes.events || {}) },
+            mqtt: { ...current.mqtt, ...(changes.mqtt || {}) }
+        };
+
+        updated.retries = Math.min(10, Math.max(0, parseInt(updated.retries, 10) || 0));
+        try {
+            this.readSettingsSection("integrations", updated);
+        } catch (error) {
+            console.error(error.message);
+            return false;
+        }
+
+        this.state.integrationSettings = updated;
+        this.saveSettingsSection("integrations", updated);
+        console.log("Integration settings saved:", updated);
+        return true;
+    }
+
+    /**
+     * Integration event name for a scheduler event, or null if it isn't notified
+     */
+    getIntegrationEvent(event) {
+        if (event.type === "recite") return "recite";
+        if (event.type === "adhan" || event.type === "second_adhan") return "adhan";
+        if (event.type === "iqamah") return "iqamah";
+        if (event.type === "change") return "day_change";
+        return null;
+    }
+
+    /**
+     * JSON body sent to webhooks and MQTT
+     */
+    buildIntegrationPayload(name, { zone = this.state.currentZone, prayer = null, type = null, timeMs = null, error = null, test = false } = {}) {
+        const payload = {
+            event: name,
+            type: type || name,
+            zone,
+            prayer: prayer === "Day" ? null : prayer,
+            label: prayer && prayer !== "Day" ? this.getPrayerLabel(prayer) : null,
+            scheduled: timeMs ? new Date(timeMs).toISOString() : null,
+            scheduledTime: timeMs ? this.clock.formatTime(timeMs) : null,
+            date: this.state.currentDateKey,
+            sentAt: this.clock.now().toISOString()
+        };
+        if (error) payload.error = error;
+        if (test) payload.test = true;
+        return payload;
+    }
+
+    /**
+     * Send an event to every configured webhook/MQTT target if that event is enabled
+     */
+    notifyIntegrations(name, details = {}) {
+        const settings = this.state.integrationSettings;
+        if (!settings || !settings.events[name]) return;
+
+        // Rehearsals shouldn't switch the hall lights on
+        if (this.state.simulation) {
+            this.recordSimulation("notify", details.prayer || "-", name);
+            return;
+        }
+
+        this.deliverIntegration(this.buildIntegrationPayload(name, details), settings, settings.retries)
+            .catch(error => console.error("Integration delivery failed:", error));
+    }
+
+    /**
+     * Fire a test event at the given (possibly unsaved) settings, without retries.
+     * Resolves to [{ target, ok, error }]
+     */
+    testIntegrations(settings = this.state.integrationSettings) {
+        const payload = this.buildIntegrationPayload("test", { prayer: this.state.nextPrayer, timeMs: this.state.nextTimeMs, test: true });
+        return this.deliverIntegration(payload, settings, 0);
+    }
+
+    /**
+     * Deliver a payload to all targets, each retried independently. Resolves to [{ target, ok, error }]
+     */
+    deliverIntegration(payload, settings, retries) {
+        const targets = settings.webhooks.map(url => ({
+            target: url,
+            send: () => this.sendWebhook(url, payload)
+        }));
+        if (settings.mqtt.enabled && settings.mqtt.url) {
+            const { url, topic, username, password, retain } = settings.mqtt;
+            const resolvedTopic = topic
+                .replace("{zone}", payload.zone)
+                .replace("{event}", payload.event)
+                .replace("{prayer}", payload.prayer || "");
+            targets.push({
+                target: `mqtt ${resolvedTopic}`,
+                send: () => new MqttPublisher({ url, username, password }).publish(resolvedTopic, JSON.stringify(payload), { retain })
             });
         }
 
-        if (dateElement) {
-            dateElement.textContent = this.formatLongDate(now);
+        return Promise.all(targets.map(({ target, send }) =>
+            this.sendWithRetry(target, payload.event, send, retries, settings.retryDelaySec)));
+    }
+
+    /**
+     * Try a delivery up to retries + 1 times with a doubling delay
+     */
+    async sendWithRetry(target, eventName, send, retries, retryDelaySec) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                await send();
+                this.logIntegration(target, eventName, "sent", attempt > 0 ? `after ${attempt} retries` : "");
+                return { target, ok: true };
+            } catch (error) {
+                console.warn(`Integration ${target} failed (attempt ${attempt + 1}/${retries + 1}):`, error);
+                if (attempt >= retries) {
+                    this.logIntegration(target, eventName, "failed", error.message);
+                    return { target, ok: false, error: error.message };
+                }
+                await new Promise(resolve => setTimeout(resolve, retryDelaySec * 1000 * 2 ** attempt));
+            }
         }
     }
 
     /**
-     * Enhanced Hijri date display with day name and formatted date
+     * POST the payload as JSON
      */
-    updateHijriDateDisplay() {
-        const hijriElement = document.getElementById("hijri-date");
-        if (hijriElement && this.state.currentHijriDate) {
-            const dayName = this.state.todayPrayerTimes["Day"] || "";
-            const formattedHijri = this.formatHijriDate(this.state.currentHijriDate);
-            const hijriText = dayName ?
-                `${formattedHijri}` :
-                formattedHijri;
+    async sendWebhook(url, payload) {
+        const controller = typeof AbortController !== "undefined" ? new AbortController() : null;
+        const timeout = controller ? setTimeout(() => controller.abort(), this.core.FETCH_TIMEOUT) : null;
 
-            hijriElement.textContent = `${hijriText}`;
+        try {
+            const response = await fetch(url, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify(payload),
+                signal: controller ? controller.signal : undefined
+            });
+            if (!response.ok) throw new Error(`HTTP error ${response.status}`);
+        } finally {
+            if (timeout) clearTimeout(timeout);
         }
     }
 
     /**
-     * Format Hijri date from YYYY-MM-DD to DD Month YYYYH
+     * Keep the last 50 deliveries for debugging
      */
-    formatHijriDate(hijriStr) {
-        if (!hijriStr) return "";
+    logIntegration(target, eventName, status, detail = "") {
+        const log = this.state.integrationLog;
+        log.push({ target, event: eventName, status, detail, time: this.clock.formatTime(this.clock.now()) });
+        if (log.length > 50) log.splice(0, log.length - 50);
+    }
 
-        try {
-            // Expected format YYYY-MM-DD
-            const parts = hijriStr.split("-");
-            if (parts.length !== 3) return hijriStr; // Return original if format doesn't match
+    /**
+     * Recent webhook/MQTT deliveries (for debugging)
+     */
+    getIntegrationLog(limit = 20) {
+        return this.state.integrationLog.slice(-limit);
+    }
 
-            const year = parts[0];
-            const monthIndex = parseInt(parts[1], 10);
-            const day = parts[2];
+    /**
+     * Fill the integration settings form from the saved settings
+     */
+    renderIntegrationSettings() {
+        const settings = this.state.integrationSettings || this.DEFAULT_INTEGRATION_SETTINGS;
+        const setValue = (id, value) => {
+            const input = document.getElementById(id);
+            if (input) input[input.type === "checkbox" ? "checked" : "value"] = value;
+        };
 
-            const monthObj = this.locale.bulan_islam.find(m => m.order === monthIndex);
-            const monthName = monthObj ? monthObj.month : parts[1];
+        setValue("integration-webhooks", settings.webhooks.join("\n"));
+        setValue("integration-mqtt-enabled", settings.mqtt.enabled);
+        setValue("integration-mqtt-url", settings.mqtt.url);
+        setValue("integration-mqtt-topic", settings.mqtt.topic);
+        setValue("integration-mqtt-username", settings.mqtt.username);
+        setValue("integration-mqtt-password", settings.mqtt.password);
+        setValue("integration-mqtt-retain", settings.mqtt.retain);
+        setValue("integration-retries", settings.retries);
+        document.querySelectorAll("#integration-events input").forEach(input => {
+            input.checked = !!settings.events[input.value];
+        });
 
-            return `${day} ${monthName} ${year}H`;
-        } catch (e) {
-            console.warn("Error formatting Hijri date:", e);
-            return hijriStr;
+        const status = document.getElementById("integration-status");
+        if (status) status.textContent = "";
+    }
+
+    /**
+     * Read the integration settings form
+     */
+    readIntegrationSettingsForm() {
+        const value = (id, fallback = "") => {
+            const input = document.getElementById(id);
+            if (!input) return fallback;
+            return input.type === "checkbox" ? input.checked : input.value.trim();
+        };
+
+        const events = {};
+        document.querySelectorAll("#integration-events input").forEach(input => {
+            events[input.value] = input.checked;
+        });
+
+        return {
+            webhooks: value("integration-webhooks").split("\n").map(url => url.trim()).filter(Boolean),
+            mqtt: {
+                enabled: value("integration-mqtt-enabled", false),
+                url: value("integration-mqtt-url"),
+                topic: value("integration-mqtt-topic") || this.DEFAULT_INTEGRATION_SETTINGS.mqtt.topic,
+                username: value("integration-mqtt-username"),
+                password: value("integration-mqtt-password"),
+                retain: value("integration-mqtt-retain", false)
+            },
+            events,
+            retries: parseInt(value("integration-retries", "0"), 10) || 0
+        };
+    }
+
+    /**
+     * Wire up the integration settings panel buttons
+     */
+    setupIntegrationSettings() {
+        const panel = document.getElementById("integration-settings");
+        if (!panel) return;
+
+        const openButton = document.getElementById("button-integrations");
+        if (openButton) {
+            openButton.addEventListener("click", () => {
+                this.renderIntegrationSettings();
+                panel.classList.add("visible");
+            });
+        }
+
+        const saveButton = document.getElementById("integration-settings-save");
+        if (saveButton) {
+            saveButton.addEventListener("click", () => {
+                if (this.setIntegrationSettings(this.readIntegrationSettingsForm())) {
+                    panel.classList.remove("visible");
+                }
+            });
+        }
+
+        const testButton = document.getElementById("integration-test");
+        if (testButton) {
+            testButton.addEventListener("click", async () => {
+                const status = document.getElementById("integration-status");
+                const settings = { ...this.DEFAULT_INTEGRATION_SETTINGS, ...this.readIntegrationSettingsForm() };
+                const messages = this.locale.messages;
+
+                if (!settings.webhooks.length && !(settings.mqtt.enabled && settings.mqtt.url)) {
+                    if (status) status.textContent = messages.integrationNoTargets;
+                    return;
+                }
+
+                if (status) status.textContent = messages.integrationTesting;
+                const results = await this.testIntegrations(settings);
+                if (status) {
+                    status.textContent = results
+                        .map(r => `${r.target}: ${r.ok ? messages.integrationOk : `${messages.integrationFailed} (${r.error})`}`)
+                        .join(" • ");
+                }
+            });
+        }
+
+        const closeButton = document.getElementById("integration-settings-close");
+        if (closeButton) {
+            closeButton.addEventListener("click", () => panel.classList.remove("visible"));
         }
     }
 
     /**
-     * Update prayer highlight with visual states (including passed prayers)
+     * Load the audio schedule, filling gaps from the defaults
      */
-    checkAndUpdatePrayerHighlight(now) {
-        if (!this.hasPrayerTimes()) return;
+    loadAudioSchedule() {
+        this.state.audioSchedule = this.mergeAudioSchedule(this.getSettingsSection("audioSchedule"));
+    }
 
-        let currentPrayer = null;
-        const nowMs = now.getTime();
+    /**
+     * Combine a (partial) schedule with the defaults so every prayer has both entries;
+     * recitations without their own lead time use timing.recitationLeadMin
+     */
+    mergeAudioSchedule(schedule) {
+        const merged = {};
+        const leadMin = this.getSetting("timing.recitationLeadMin");
+        Object.keys(this.DEFAULT_AUDIO_SCHEDULE).forEach(name => {
+            const defaults = this.DEFAULT_AUDIO_SCHEDULE[name];
+            const custom = schedule[name] || {};
+            merged[name] = {
+                recite: { ...defaults.recite, leadMin, ...(custom.recite || {}) },
+                adhan: { ...defaults.adhan, ...(custom.adhan || {}) }
+            };
+        });
+        return merged;
+    }
 
-        // Check all prayers including Imsak for current prayer logic
-        for (const name of this.PRAYER_NAMES) {
-            const timeStr = this.state.todayPrayerTimes[name];
-            if (!timeStr) continue;
+    /**
+     * Validate, persist and apply a new audio schedule, preloading any new files
+     */
+    saveAudioSchedule(schedule) {
+        const merged = this.mergeAudioSchedule(schedule);
 
-            try {
-                const { hour, minute } = this.parseTime(timeStr);
-                const timeMs = this.getTimeInMs(hour, minute);
-                if (nowMs >= timeMs) {
-                    currentPrayer = name;
+        for (const [name, entry] of Object.entries(merged)) {
+            const lead = Number(entry.recite.leadMin);
+            if (!Number.isFinite(lead) || lead < 0 || lead > 120) {
+                throw new Error(Locales.formatMessage(this.locale.messages.audioLeadInvalid, { prayer: this.getPrayerName(name) }));
+            }
+            entry.recite.leadMin = lead;
+
+            for (const type of ["recite", "adhan"]) {
+                const volume = Number(entry[type].volume);
+                entry[type].volume = Number.isFinite(volume) ? Math.min(1, Math.max(0, volume)) : 1;
+                entry[type].file = String(entry[type].file || "").trim();
+                if (entry[type].enabled && !entry[type].file) {
+                    throw new Error(Locales.formatMessage(this.locale.messages.audioFileRequired, { prayer: this.getPrayerName(name) }));
                 }
-            } catch (error) {
-                console.warn(`Error parsing time for ${name}:`, error);
-                continue;
             }
         }
 
-        this.updatePrayerHighlight(currentPrayer, now);
+        // Lead times equal to timing.recitationLeadMin aren't stored, so they follow that setting
+        const defaultLeadMin = this.getSetting("timing.recitationLeadMin");
+        const stored = {};
+        Object.entries(merged).forEach(([name, entry]) => {
+            const { leadMin, ...recite } = entry.recite;
+            stored[name] = { ...entry, recite: leadMin === defaultLeadMin ? recite : entry.recite };
+        });
+
+        this.state.audioSchedule = merged;
+        this.saveSettingsSection("audioSchedule", stored);
+        this.cacheAudioOffline();
+        console.log("Audio schedule saved:", merged);
+        this.rebuildTimeline();
+
+        Object.values(merged).forEach(entry => {
+            ["recite", "adhan"].forEach(type => {
+                const file = entry[type].file;
+                if (entry[type].enabled && file && !this.state.audioCache.has(file)) {
+                    this.preloadAudio(file).catch(() => this.showError(Locales.formatMessage(this.locale.messages.audioFileNotFound, { file })));
+                }
+            });
+        });
     }
 
     /**
-     * Enhanced visual highlight with passed prayer states
+     * Audio for a prayer today as { recite, adhan }, each { enabled, file, volume, leadMin? }.
+     * Friday Zohor (Jumaat mode on) uses the Jumaat tarhim and first adhan; other prayers use the
+     * saved schedule, or DEFAULT_AUDIO_SCHEDULE before it is loaded. null for a prayer without audio.
      */
-    updatePrayerHighlight(currentPrayer, now) {
-        const cells = document.querySelectorAll("td[data-prayer]");
-        const nowMs = now.getTime();
+    getAudioScheduleEntry(prayerName) {
+        // Friday Zohor uses the Jumaat tarhim and first adhan
+        if (prayerName === "Zohor" && this.isJumaatToday()) {
+            const jumaat = this.state.jumaatSettings;
+            return { recite: jumaat.tarhim, adhan: jumaat.firstAdhan };
+        }
 
-        cells.forEach(cell => {
-            const prayerName = cell.getAttribute("data-prayer");
-            const timeStr = this.state.todayPrayerTimes[prayerName];
+        const schedule = this.state.audioSchedule || this.DEFAULT_AUDIO_SCHEDULE;
+        return schedule[prayerName] || null;
+    }
 
-            // Remove existing classes
-            cell.className = cell.className.replace(/\b(current|passed)\b/g, '').trim();
+    /**
+     * Whether today's loaded times are for a Friday with Jumaat mode enabled
+     */
+    isJumaatToday() {
+        const settings = this.state.jumaatSettings;
+        return !!settings && settings.enabled && this.state.todayPrayerTimes["Day"] === this.core.calendar.days[5];
+    }
 
-            if (timeStr) {
-                try {
-                    const { hour, minute } = this.parseTime(timeStr);
-                    const timeMs = this.getTimeInMs(hour, minute);
+    /**
+     * Prayer label in events and notifications: Zohor is reported as Jumaat on Fridays
+     */
+    getPrayerLabel(prayerName) {
+        return prayerName === "Zohor" && this.isJumaatToday() ? this.core.calendar.days[5] : prayerName;
+    }
+
+    /**
+     * Prayer name shown on screen in the given language (Jumaat for Zohor on Fridays)
+     */
+    getPrayerName(prayerName, locale = this.locale) {
+        return locale.prayers[this.getPrayerLabel(prayerName)] || prayerName;
+    }
+
+    /**
+     * Load Jumaat settings, filling gaps from the defaults
+     */
+    loadJumaatSettings() {
+        const defaults = this.DEFAULT_JUMAAT_SETTINGS;
+        const saved = this.getSettingsSection("jumaat");
+
+        this.state.jumaatSettings = {
+            ...defaults,
+            ...saved,
+            tarhim: { ...defaults.tarhim, ...(saved.tarhim || {}) },
+            firstAdhan: { ...defaults.firstAdhan, ...(saved.firstAdhan || {}) },
+            secondAdhan: { ...defaults.secondAdhan, ...(saved.secondAdhan || {}) }
+        };
+    }
+
+    /**
+     * Update and persist Jumaat settings, e.g. { khutbahOffsetMin: 15, secondAdhan: { file: "jumaat_adhan2.mp3" } }
+     */
+    setJumaatSettings(changes) {
+        if (!this.state.jumaatSettings) this.loadJumaatSettings();
+        const current = this.state.jumaatSettings;
+        const updated = { ...current, ...changes };
+        ["tarhim", "firstAdhan", "secondAdhan"].forEach(key => {
+            updated[key] = { ...current[key], ...((changes && changes[key]) || {}) };
+        });
+
+        updated.khutbahOffsetMin = Number(updated.khutbahOffsetMin);
+        try {
+            this.readSettingsSection("jumaat", updated);
+        } catch (error) {
+            console.error(error.message);
+            return;
+        }
+
+        this.state.jumaatSettings = updated;
+        this.saveSettingsSection("jumaat", updated);
+        this.cacheAudioOffline();
+        console.log("Jumaat settings saved:", updated);
+        this.renderPrayerLayout();
+        this.rebuildTimeline();
+    }
+
+    /**
+     * Load the khatib/imam roster from jumaat.json ({ "schedule": [{ date, khatib, imam }] })
+     */
+    async loadJumaatRoster() {
+        try {
+            const data = await this.core.fetchJson(this.JUMAAT_ROSTER_FILE);
+            this.state.jumaatRoster = Array.isArray(data.schedule) ? data.schedule : [];
+        } catch (error) {
+            console.warn(`Failed to load ${this.JUMAAT_ROSTER_FILE}:`, error);
+            this.state.jumaatRoster = [];
+        }
+        this.updateJumaatInfo();
+    }
+
+    /**
+     * Show this week's khatib and imam (for the coming Friday, or today on Friday)
+     */
+    updateJumaatInfo() {
+        const infoElement = document.getElementById("jumaat-info");
+        if (!infoElement) return;
+
+        const today = this.clock.today();
+        const friday = this.clock.addDays(today, (5 - today.getDay() + 7) % 7);
+        const fridayKey = [
+            friday.getFullYear(),
+            String(friday.getMonth() + 1).padStart(2, '0'),
+            String(friday.getDate()).padStart(2, '0')
+        ].join("-");
+        const entry = this.state.jumaatRoster.find(item => item.date === fridayKey);
+
+        if (!entry || !this.state.jumaatSettings || !this.state.jumaatSettings.enabled) {
+            infoElement.style.display = "none";
+            return;
+        }
+
+        infoElement.textContent = this.translate(locale => Locales.formatMessage(locale.messages.jumaatInfoFormat, {
+            date: `${friday.getDate()} ${locale.months[friday.getMonth()]}`,
+            khatib: entry.khatib || "-",
+            imam: entry.imam || "-"
+        }));
+        infoElement.style.display = "block";
+    }
+
+    /**
+     * Load dashboard settings, filling gaps from the defaults
+     */
+    loadDashboardSettings() {
+        this.state.dashboardSettings = { ...this.DEFAULT_DASHBOARD_SETTINGS, ...this.getSettingsSection("dashboard") };
+    }
+
+    /**
+     * Update and persist dashboard settings, e.g. { enabled: true, zones: ["SBH07", "WLY01"] }
+     */
+    setDashboardSettings(changes) {
+        if (!this.state.dashboardSettings) this.loadDashboardSettings();
+        const updated = { ...this.state.dashboardSettings, ...changes };
+
+        updated.enabled = !!updated.enabled;
+        try {
+            this.readSettingsSection("dashboard", updated);
+        } catch (error) {
+            console.error(error.message);
+            return;
+        }
+        updated.zones = Array.from(new Set(updated.zones));
+
+        this.state.dashboardSettings = updated;
+        this.saveSettingsSection("dashboard", updated);
+        console.log("Dashboard settings saved:", updated);
+        this.loadDashboardZones();
+    }
+
+    /**
+     * Zones shown next to the home zone (empty when the dashboard is off)
+     */
+    getDashboardZones() {
+        const settings = this.state.dashboardSettings;
+        if (!settings || !settings.enabled) return [];
+        return settings.zones.filter(zone => zone !== this.state.currentZone);
+    }
 
-                    if (prayerName === currentPrayer && this.DISPLAY_PRAYER_NAMES.includes(currentPrayer)) {
-                        cell.classList.add('current');
-                    } else if (nowMs > timeMs + (5 * 60 * 1000)) { // 5 minutes grace
-                        cell.classList.add('passed');
+    /**
+     * Fetch this month's data (and next month's on the last day) for each dashboard zone, then render
+     */
+    async loadDashboardZones() {
+        const zones = this.getDashboardZones();
+        if (zones.length > 0) {
+            const today = this.clock.today();
+            const months = [today, this.clock.addDays(today, 1)]
+                .map(date => ({ year: date.getFullYear(), month: date.getMonth() + 1 }))
+                .filter((m, i, all) => i === 0 || m.month !== all[0].month);
+
+            for (const zone of zones) {
+                for (const { year, month } of months) {
+                    if (this.state.monthlyPrayerData[`${zone}_${year}_${month}`]) continue;
+                    try {
+                        await this.fetchPrayerData(zone, year, month);
+                    } catch (error) {
+                        console.warn(`Dashboard: no data for ${zone} ${month}/${year}`, error);
                     }
-                } catch (error) {
-                    console.warn(`Error parsing time for ${prayerName}:`, error);
                 }
             }
+        }
+
+        this.renderDashboard();
+    }
+
+    /**
+     * Zone description from the zone-select list, falling back to the code
+     */
+    getZoneName(zone) {
+        const selector = document.getElementById("zone-select");
+        const option = selector && Array.from(selector.options || []).find(o => o.value === zone);
+        return option ? option.text : zone;
+    }
+
+    /**
+     * Build one card per zone (home zone first) with today's times; countdowns are filled by updateDashboard()
+     */
+    renderDashboard() {
+        const container = document.getElementById("dashboard");
+        const zones = this.getDashboardZones();
+        const active = zones.length > 0;
+        document.body.classList.toggle("dashboard-mode", active);
+        this.state.dashboardCards = [];
+        if (!container) return;
+
+        container.innerHTML = "";
+        if (!active) return;
+
+        const now = this.clock.now();
+        const date = this.clock.today(now);
+
+        [this.state.currentZone, ...zones].forEach(zone => {
+            const isHome = zone === this.state.currentZone;
+            const today = isHome ? this.state.todayPrayerTimes : this.core.getDayTimes(zone, date);
+            const next = isHome ? this.state.tomorrowPrayerTimes : this.core.getDayTimes(zone, this.clock.addDays(date, 1));
+
+            const card = document.createElement("div");
+            card.className = isHome ? "zone-card home" : "zone-card";
+            card.setAttribute("data-zone", zone);
+
+            const times = this.DISPLAY_PRAYER_NAMES.map(name => `
+                <div class="zone-prayer" data-prayer="${name}">
+                    <span>${this.translate(locale => this.getPrayerName(name, locale))}</span>
+                    <span>${Locales.toLocaleDigits((today && today[name]) || "--:--", this.locale)}</span>
+                </div>`).join("");
+
+            card.innerHTML = `
+                <div class="zone-title">${isHome ? "🏠 " : ""}${zone} · ${this.getZoneName(zone)}</div>
+                <div class="zone-times">${times}</div>
+                <div class="zone-next">${today ? "" : this.translate(locale => locale.messages.loading)}</div>
+            `;
+            container.appendChild(card);
+
+            if (today) this.state.dashboardCards.push({ card, today, tomorrow: next });
+        });
+
+        this.updateDashboard(now);
+    }
+
+    /**
+     * Per-second update of each dashboard card's next prayer and countdown
+     */
+    updateDashboard(now) {
+        const cards = this.state.dashboardCards;
+        if (!cards || cards.length === 0) return;
+
+        cards.forEach(({ card, today, tomorrow }) => {
+            const next = this.core.findNextPrayer(today, tomorrow, now);
+            const nextElement = card.querySelector(".zone-next");
+            if (nextElement) {
+                nextElement.textContent = next
+                    ? this.translate(locale => this.formatNextPrayer(next.prayer, next.timeMs - now.getTime(), locale))
+                    : this.translate(locale => locale.messages.allPrayersComplete);
+            }
+
+            card.querySelectorAll(".zone-prayer").forEach(row => {
+                row.classList.toggle("next", !!next && row.getAttribute("data-prayer") === next.prayer);
+            });
         });
     }
 
     /**
-     * Update next prayer timer with improved logic
+     * Build the dashboard settings form: one checkbox per zone in the zone-select list
      */
-    updateNextPrayerTimer(now) {
-        const timerElement = document.getElementById("next-prayer-timer");
-        if (!timerElement) return;
+    renderDashboardSettings() {
+        const list = document.getElementById("dashboard-zone-list");
+        const enabledInput = document.getElementById("dashboard-enabled");
+        const selector = document.getElementById("zone-select");
+        if (!list || !selector) return;
+
+        const settings = this.state.dashboardSettings || this.DEFAULT_DASHBOARD_SETTINGS;
+        if (enabledInput) enabledInput.checked = settings.enabled;
+
+        list.innerHTML = Array.from(selector.querySelectorAll("optgroup")).map(group => `
+            <fieldset>
+                <legend>${group.label}</legend>
+                ${Array.from(group.querySelectorAll("option")).map(option => `
+                    <label>
+                        <input type="checkbox" value="${option.value}" ${settings.zones.includes(option.value) ? "checked" : ""}>
+                        ${option.value} ${option.text}
+                    </label>`).join("")}
+            </fieldset>`).join("");
+    }
 
-        if (!this.hasPrayerTimes()) {
-            timerElement.textContent = this.locale.messages.loading;
+    /**
+     * Wire up the dashboard settings panel buttons
+     */
+    setupDashboardSettings() {
+        const panel = document.getElementById("dashboard-settings");
+        if (!panel) return;
+
+        const openButton = document.getElementById("button-dashboard-settings");
+        if (openButton) {
+            openButton.addEventListener("click", () => {
+                this.renderDashboardSettings();
+                panel.classList.add("visible");
+            });
+        }
+
+        const saveButton = document.getElementById("dashboard-settings-save");
+        if (saveButton) {
+            saveButton.addEventListener("click", () => {
+                const enabledInput = document.getElementById("dashboard-enabled");
+                const zones = Array.from(document.querySelectorAll("#dashboard-zone-list input:checked"))
+                    .map(input => input.value);
+                this.setDashboardSettings({ enabled: !!(enabledInput && enabledInput.checked), zones });
+                panel.classList.remove("visible");
+            });
+        }
+
+        const closeButton = document.getElementById("dashboard-settings-close");
+        if (closeButton) {
+            closeButton.addEventListener("click", () => panel.classList.remove("visible"));
+        }
+    }
+
+    /**
+     * Open the monthly timetable on the current month
+     */
+    openTimetable() {
+        const today = this.clock.today();
+        this.state.timetableMonth = { year: today.getFullYear(), month: today.getMonth() + 1 };
+        this.renderTimetable();
+        this.renderExportForm();
+
+        const panel = document.getElementById("timetable");
+        if (panel) panel.classList.add("visible");
+    }
+
+    /**
+     * Move the timetable by a number of months, fetching the month if not loaded yet
+     */
+    async changeTimetableMonth(delta) {
+        const { year, month } = this.state.timetableMonth;
+        const target = new Date(year, month - 1 + delta, 1);
+        this.state.timetableMonth = { year: target.getFullYear(), month: target.getMonth() + 1 };
+        this.renderExportForm();
+
+        const monthKey = `${this.state.currentZone}_${target.getFullYear()}_${target.getMonth() + 1}`;
+        if (!this.state.monthlyPrayerData[monthKey]) {
+            this.renderTimetable();
+            try {
+                await this.fetchPrayerData(this.state.currentZone, target.getFullYear(), target.getMonth() + 1);
+            } catch (error) {
+                console.warn(`Timetable: no data for ${monthKey}`, error);
+            }
+        }
+        this.renderTimetable();
+    }
+
+    /**
+     * Fill the timetable with one row per day of the selected month (home zone), in the display language
+     */
+    renderTimetable() {
+        const body = document.getElementById("timetable-body");
+        const title = document.getElementById("timetable-title");
+        const head = document.getElementById("timetable-head");
+        const footer = document.getElementById("timetable-source");
+        if (!body || !this.state.timetableMonth) return;
+
+        const locale = this.locale;
+        const digits = text => Locales.toLocaleDigits(text, locale);
+        const { year, month } = this.state.timetableMonth;
+        const zone = this.state.currentZone;
+        const monthKey = `${zone}_${year}_${month}`;
+        const monthData = this.state.monthlyPrayerData[monthKey];
+        const todayKey = this.core.formatDateForApi(this.clock.today());
+
+        if (title) {
+            title.textContent = digits(Locales.formatMessage(locale.messages.timetableTitle, {
+                month: locale.months[month - 1],
+                year,
+                zone: `${zone} ${this.getZoneName(zone)}`
+            }));
+        }
+        if (head) {
+            head.innerHTML = [
+                locale.messages.timetableDate,
+                locale.messages.timetableDay,
+                locale.messages.timetableHijri,
+                ...this.PRAYER_NAMES.map(name => locale.prayers[name] || name)
+            ].map(label => `<th>${label}</th>`).join("");
+        }
+
+        if (!monthData) {
+            body.innerHTML = `<tr><td colspan="10">${this.locale.messages.loading}</td></tr>`;
+            if (footer) footer.textContent = "";
             return;
         }
 
-        const nowMs = now.getTime();
-        let nextPrayer = null;
-        let nextTimeMs = Infinity;
+        body.innerHTML = monthData.map(dayData => {
+            const date = new Date(year, month - 1, parseInt(dayData.date, 10));
+            const times = this.core.buildPrayerTimes(dayData, date);
+            const classes = [
+                dayData.date === todayKey ? "today" : "",
+                date.getDay() === 5 ? "friday" : ""
+            ].filter(Boolean).join(" ");
+
+            return `
+                <tr class="${classes}">
+                    <td>${digits(String(date.getDate()).padStart(2, '0'))}</td>
+                    <td>${locale.days[date.getDay()]}</td>
+                    <td>${this.core.formatHijriDate(dayData.hijri, locale)}</td>
+                    ${this.PRAYER_NAMES.map(name => `<td>${times[name] ? digits(times[name]) : "-"}</td>`).join("")}
+                </tr>`;
+        }).join("");
+
+        if (footer) {
+            const provider = this.providers[this.state.monthlySources[monthKey]];
+            footer.textContent = Locales.formatMessage(locale.messages.timetableSource, { source: provider ? provider.label : "JAKIM" });
+        }
+    }
+
+    /**
+     * Wire up the timetable navigation, print and close buttons
+     */
+    setupTimetable() {
+        const panel = document.getElementById("timetable");
+        if (!panel) return;
 
-        // Skip Imsak for next prayer calculation as it's for fasting preparation
-        const prayersForTimer = this.PRAYER_NAMES.filter(name => name !== "Imsak");
+        const openButton = document.getElementById("button-timetable");
+        if (openButton) {
+            openButton.addEventListener("click", () => this.openTimetable());
+        }
+
+        const prevButton = document.getElementById("timetable-prev");
+        if (prevButton) {
+            prevButton.addEventListener("click", () => this.changeTimetableMonth(-1));
+        }
+
+        const nextButton = document.getElementById("timetable-next");
+        if (nextButton) {
+            nextButton.addEventListener("click", () => this.changeTimetableMonth(1));
+        }
+
+        const icsButton = document.getElementById("export-ics");
+        if (icsButton) {
+            icsButton.addEventListener("click", () => this.handleExport("ics"));
+        }
+
+        const csvButton = document.getElementById("export-csv");
+        if (csvButton) {
+            csvButton.addEventListener("click", () => this.handleExport("csv"));
+        }
+
+        const printButton = document.getElementById("timetable-print");
+        if (printButton) {
+            printButton.addEventListener("click", () => window.print());
+        }
+
+        const closeButton = document.getElementById("timetable-close");
+        if (closeButton) {
+            closeButton.addEventListener("click", () => panel.classList.remove("visible"));
+        }
+    }
+
+    /**
+     * Collect day records for a zone between two dates (inclusive), fetching months as needed
+     */
+    async getExportDays(zone, from, to) {
+        if (!(from <= to)) {
+            throw new Error(this.locale.messages.exportRangeOrder);
+        }
+        if ((to - from) / (24 * 60 * 60 * 1000) > this.EXPORT_MAX_DAYS) {
+            throw new Error(Locales.formatMessage(this.locale.messages.exportRangeTooLong, { days: this.EXPORT_MAX_DAYS }));
+        }
+
+        const days = [];
+        for (let cursor = new Date(from.getFullYear(), from.getMonth(), 1); cursor <= to;
+            cursor = new Date(cursor.getFullYear(), cursor.getMonth() + 1, 1)) {
+            const year = cursor.getFullYear();
+            const month = cursor.getMonth() + 1;
+            const monthKey = `${zone}_${year}_${month}`;
+
+            if (!this.state.monthlyPrayerData[monthKey]) {
+                await this.fetchPrayerData(zone, year, month);
+            }
+
+            this.state.monthlyPrayerData[monthKey].forEach(dayData => {
+                const date = new Date(year, month - 1, parseInt(dayData.date, 10));
+                if (date >= from && date <= to) {
+                    days.push({ date, times: this.core.buildPrayerTimes(dayData, date) });
+                }
+            });
+        }
+        return days;
+    }
+
+    /**
+     * iCalendar text: one event per displayed prayer per day, with an optional alarm N minutes before
+     */
+    buildICS(zone, days, alarmMin = 0) {
+        const pad = n => String(n).padStart(2, '0');
+        const escape = text => String(text).replace(/[\\;,]/g, m => `\\${m}`);
+        const stamp = this.clock.now().toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+        const zoneName = this.getZoneName(zone);
+
+        const lines = [
+            "BEGIN:VCALENDAR",
+            "VERSION:2.0",
+            "PRODID:-//Prayer Times//Waktu Solat//MS",
+            "CALSCALE:GREGORIAN",
+            `X-WR-CALNAME:${escape(`Waktu Solat ${zone}`)}`,
+            "BEGIN:VTIMEZONE",
+            `TZID:${this.EXPORT_TZID}`,
+            "BEGIN:STANDARD",
+            "DTSTART:19820101T000000",
+            "TZOFFSETFROM:+0800",
+            "TZOFFSETTO:+0800",
+            "TZNAME:MYT",
+            "END:STANDARD",
+            "END:VTIMEZONE"
+        ];
+
+        days.forEach(({ date, times }) => {
+            const dateStr = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+
+            this.DISPLAY_PRAYER_NAMES.forEach(name => {
+                if (!times[name]) return;
+                const { hour, minute } = this.core.parseTime(times[name]);
+
+                lines.push(
+                    "BEGIN:VEVENT",
+                    `UID:${dateStr}-${name.toLowerCase()}-${zone}@waktu-solat`,
+                    `DTSTAMP:${stamp}`,
+                    `DTSTART;TZID=${this.EXPORT_TZID}:${dateStr}T${pad(hour)}${pad(minute)}00`,
+                    "DURATION:PT15M",
+                    `SUMMARY:${escape(name)}`,
+                    `DESCRIPTION:${escape(`${name} ${times[name]} - ${zone} ${zoneName}`)}`,
+                    "TRANSP:TRANSPARENT"
+                );
+                if (alarmMin > 0) {
+                    lines.push(
+                        "BEGIN:VALARM",
+                        "ACTION:DISPLAY",
+                        `DESCRIPTION:${escape(name)}`,
+                        `TRIGGER:-PT${alarmMin}M`,
+                        "END:VALARM"
+                    );
+                }
+                lines.push("END:VEVENT");
+            });
+        });
 
-        for (const name of prayersForTimer) {
-            const timeStr = this.state.todayPrayerTimes[name];
-            if (!timeStr) continue;
+        lines.push("END:VCALENDAR");
 
-            try {
-                const { hour, minute } = this.parseTime(timeStr);
-                const timeMs = this.getTimeInMs(hour, minute);
+        // Fold lines longer than 75 characters (RFC 5545)
+        return lines.map(line => line.length <= 75 ? line : line.match(/.{1,74}/g).join("\r\n ")).join("\r\n") + "\r\n";
+    }
 
-                if (timeMs > nowMs && timeMs < nextTimeMs) {
-                    nextTimeMs = timeMs;
-                    nextPrayer = name;
-                }
-            } catch (error) {
-                console.warn(`Error parsing time for ${name}:`, error);
-                continue;
-            }
+    /**
+     * Export a zone's times for a date range as "ics" or "csv" and download the file
+     */
+    async exportTimetable(format, { zone = this.state.currentZone, from, to, alarmMin = 0 } = {}) {
+        if (!["ics", "csv"].includes(format)) {
+            throw new Error(Locales.formatMessage(this.locale.messages.exportFormatInvalid, { format }));
+        }
+        if (!this.calculator.hasZone(zone)) {
+            throw new Error(Locales.formatMessage(this.locale.messages.zoneInvalid, { zone }));
         }
 
-        // Update state
-        this.state.nextPrayer = nextPrayer;
-        this.state.nextTimeMs = nextTimeMs === Infinity ? null : nextTimeMs;
+        const days = await this.getExportDays(zone, from, to);
+        const name = `waktu-solat-${zone}-${this.core.formatDateForApi(from)}-${this.core.formatDateForApi(to)}`;
 
-        if (!nextPrayer) {
-            timerElement.textContent = this.locale.messages.allPrayersComplete;
-            return;
+        if (format === "ics") {
+            this.downloadFile(`${name}.ics`, this.buildICS(zone, days, alarmMin), "text/calendar");
+        } else {
+            this.downloadFile(`${name}.csv`, this.core.buildTimetableCSV(days), "text/csv");
         }
 
-        const diffMs = nextTimeMs - nowMs;
-        const { hours, mins, secs } = this.formatTimeDifference(diffMs);
+        console.log(`Exported ${days.length} days for ${zone} as ${format}`);
+        return days.length;
+    }
 
-        timerElement.textContent = this.locale.messages.nextPrayerFormat
-            .replace('{prayer}', nextPrayer)
-            .replace('{hours}', String(hours).padStart(2, '0'))
-            .replace('{mins}', String(mins).padStart(2, '0'))
-            .replace('{secs}', String(secs).padStart(2, '0'));
+    /**
+     * Save generated text as a file via a temporary download link
+     */
+    downloadFile(filename, content, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
 
     /**
-     * Format time difference into hours, minutes, seconds
+     * Export form defaults: home zone and the month shown in the timetable
      */
-    formatTimeDifference(diffMs) {
-        const totalSecs = Math.floor(diffMs / 1000);
-        const hours = Math.floor(totalSecs / 3600);
-        const mins = Math.floor((totalSecs % 3600) / 60);
-        const secs = totalSecs % 60;
-        return { hours, mins, secs };
+    renderExportForm() {
+        const zoneSelect = document.getElementById("export-zone");
+        const selector = document.getElementById("zone-select");
+        if (zoneSelect && selector && !zoneSelect.options.length) {
+            zoneSelect.innerHTML = Array.from(selector.querySelectorAll("optgroup"))
+                .map(group => group.outerHTML).join("");
+        }
+        if (zoneSelect) zoneSelect.value = this.state.currentZone;
+
+        const { year, month } = this.state.timetableMonth;
+        const toInputValue = date =>
+            `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+        const fromInput = document.getElementById("export-from");
+        const toInput = document.getElementById("export-to");
+        if (fromInput) fromInput.value = toInputValue(new Date(year, month - 1, 1));
+        if (toInput) toInput.value = toInputValue(new Date(year, month, 0));
     }
 
     /**
-     * Check and trigger prayer audio with improved timing
+     * Read the export form and run the export
      */
-    checkPrayerAudio(now) {
-        if (!this.state.nextPrayer || !this.state.nextTimeMs) return;
+    async handleExport(format) {
+        const parseInput = id => {
+            const element = document.getElementById(id);
+            const [year, month, day] = ((element && element.value) || "").split("-").map(Number);
+            return year ? new Date(year, month - 1, day) : null;
+        };
+        const zoneSelect = document.getElementById("export-zone");
+        const alarmInput = document.getElementById("export-alarm");
 
-        const nowMs = now.getTime();
-        const reciteTime = this.state.nextTimeMs - (this.RECITATION_OFFSET_MIN * 60 * 1000);
+        try {
+            const from = parseInput("export-from");
+            const to = parseInput("export-to");
+            if (!from || !to) throw new Error(this.locale.messages.exportDatesRequired);
+
+            const count = await this.exportTimetable(format, {
+                zone: zoneSelect ? zoneSelect.value : this.state.currentZone,
+                from,
+                to,
+                alarmMin: alarmInput ? Math.max(0, Number(alarmInput.value) || 0) : 0
+            });
+            this.showError(Locales.formatMessage(this.locale.messages.exported, { days: count }));
+        } catch (error) {
+            console.error("Export failed:", error);
+            this.showError(Locales.formatMessage(this.locale.messages.exportError, { error: error.message }));
+        }
+    }
 
-        // Skip audio for Imsak as it's not a prayer time, just fasting preparation
-        if (this.state.nextPrayer === "Imsak") return;
+    /**
+     * Build the audio settings form from the current schedule
+     */
+    renderAudioSettings() {
+        const body = document.getElementById("audio-settings-body");
+        if (!body) return;
+
+        const schedule = this.state.audioSchedule || this.DEFAULT_AUDIO_SCHEDULE;
+        body.innerHTML = "";
+
+        Object.entries(schedule).forEach(([name, entry]) => {
+            const row = document.createElement("tr");
+            row.setAttribute("data-prayer", name);
+            row.innerHTML = `
+                <th></th>
+                <td><input type="checkbox" data-field="recite.enabled"></td>
+                <td><input type="number" data-field="recite.leadMin" min="0" max="120"></td>
+                <td><input type="text" data-field="recite.file" list="audio-file-list"></td>
+                <td><input type="range" data-field="recite.volume" min="0" max="1" step="0.1"></td>
+                <td><input type="checkbox" data-field="adhan.enabled"></td>
+                <td><input type="text" data-field="adhan.file" list="audio-file-list"></td>
+                <td><input type="range" data-field="adhan.volume" min="0" max="1" step="0.1"></td>
+            `;
 
-        const reciteFile = `${this.state.nextPrayer.toLowerCase()}_recite.mp3`;
-        const adhanFile = `${this.state.nextPrayer.toLowerCase()}_adhan.mp3`;
+            // Values go through the DOM, never into the markup: file names are free text
+            row.querySelector("th").textContent = name;
+            row.querySelectorAll("input[data-field]").forEach(input => {
+                const [type, key] = input.getAttribute("data-field").split(".");
+                if (input.type === "checkbox") {
+                    input.checked = !!entry[type][key];
+                } else {
+                    input.value = entry[type][key];
+                }
+            });
+            body.appendChild(row);
+        });
 
-        // Check for recitation audio
-        if (this.shouldPlayAudio(nowMs, reciteTime, reciteFile)) {
-            console.log(`Playing recitation for ${this.state.nextPrayer}`);
-            this.playAudio(reciteFile);
-            this.state.audioPlayed.add(reciteFile);
+        // Suggest every file referenced by the defaults or current schedule
+        const fileList = document.getElementById("audio-file-list");
+        if (fileList) {
+            const files = new Set();
+            [this.DEFAULT_AUDIO_SCHEDULE, schedule].forEach(source => {
+                Object.values(source).forEach(entry => {
+                    files.add(entry.recite.file);
+                    files.add(entry.adhan.file);
+                });
+            });
+            fileList.innerHTML = "";
+            Array.from(files).filter(Boolean).forEach(file => {
+                const option = document.createElement("option");
+                option.value = file;
+                fileList.appendChild(option);
+            });
         }
+    }
 
-        // Check for adhan audio
-        if (this.shouldPlayAudio(nowMs, this.state.nextTimeMs, adhanFile)) {
-            console.log(`Playing adhan for ${this.state.nextPrayer}`);
-            this.playAudio(adhanFile);
-            this.state.audioPlayed.add(adhanFile);
-        }
+    /**
+     * Read the audio settings form back into a schedule object
+     */
+    readAudioSettingsForm() {
+        const schedule = {};
+        document.querySelectorAll("#audio-settings-body tr[data-prayer]").forEach(row => {
+            const name = row.getAttribute("data-prayer");
+            schedule[name] = { recite: {}, adhan: {} };
+
+            row.querySelectorAll("input[data-field]").forEach(input => {
+                const [type, key] = input.getAttribute("data-field").split(".");
+                schedule[name][type][key] = input.type === "checkbox" ? input.checked : input.value;
+            });
+        });
+        return schedule;
     }
 
     /**
-     * Determine if audio should be played
+     * Wire up the audio settings panel buttons
      */
-    shouldPlayAudio(nowMs, targetMs, filename) {
-        return Math.abs(nowMs - targetMs) < this.AUDIO_TRIGGER_THRESHOLD &&
-            !this.state.audioPlayed.has(filename);
+    setupAudioSettings() {
+        const panel = document.getElementById("audio-settings");
+        if (!panel) return;
+
+        const openButton = document.getElementById("button-audio-settings");
+        if (openButton) {
+            openButton.addEventListener("click", () => {
+                this.renderAudioSettings();
+                panel.classList.add("visible");
+            });
+        }
+
+        const saveButton = document.getElementById("audio-settings-save");
+        if (saveButton) {
+            saveButton.addEventListener("click", () => {
+                try {
+                    this.saveAudioSchedule(this.readAudioSettingsForm());
+                    panel.classList.remove("visible");
+                    this.showError(this.locale.messages.audioSettingsSaved);
+                } catch (error) {
+                    this.showError(error.message);
+                }
+            });
+        }
+
+        const resetButton = document.getElementById("audio-settings-reset");
+        if (resetButton) {
+            resetButton.addEventListener("click", () => {
+                this.state.audioSchedule = this.mergeAudioSchedule({});
+                this.renderAudioSettings();
+            });
+        }
+
+        const closeButton = document.getElementById("audio-settings-close");
+        if (closeButton) {
+            closeButton.addEventListener("click", () => {
+                this.loadAudioSchedule(); // Discard unsaved changes
+                panel.classList.remove("visible");
+            });
+        }
     }
 
     /**
      * Play audio with error handling
      */
-    playAudio(filename) {
+    playAudio(filename, volume = 1) {
         if (!filename) {
             console.warn("playAudio called with no filename");
             return;
         }
+        if (this.isAudioMuted(filename)) return;
 
         const audio = this.state.audioCache.get(filename);
         if (!audio) {
@@ -856,6 +3381,7 @@ class PrayerTimeApp {
 
         console.log("Playing:", filename);
         audio.currentTime = 0;
+        audio.volume = volume;
 
         audio.play()
             .then(() => console.log(`Successfully playing ${filename}`))
@@ -865,6 +3391,60 @@ class PrayerTimeApp {
             });
     }
 
+    /**
+     * Subscribe to an app event (see APP_EVENTS); the listener gets the event's detail.
+     * Returns a function that unsubscribes, e.g.
+     * const stop = prayerApp.on("prayerstart", ({ prayer, label }) => showOverlay(label));
+     */
+    on(type, listener) {
+        const wrapped = event => listener(event.detail);
+        this.addEventListener(type, wrapped);
+        return () => this.removeEventListener(type, wrapped);
+    }
+
+    /**
+     * Subscribe with an EventTarget-style listener that receives a CustomEvent
+     */
+    addEventListener(type, listener) {
+        if (!this.APP_EVENTS.includes(type)) {
+            throw new Error(`Unknown event: ${type}. Available: ${this.APP_EVENTS.join(", ")}`);
+        }
+        if (!this.state.listeners.has(type)) this.state.listeners.set(type, new Set());
+        this.state.listeners.get(type).add(listener);
+    }
+
+    /**
+     * Remove a listener added with addEventListener()
+     */
+    removeEventListener(type, listener) {
+        const listeners = this.state.listeners.get(type);
+        if (listeners) listeners.delete(listener);
+    }
+
+    /**
+     * Notify subscribers, then dispatch the same event on document for page scripts.
+     * A failing listener is logged so it can't break the clock or the other listeners.
+     */
+    emit(type, detail) {
+        const createEvent = () => typeof CustomEvent === "function" ? new CustomEvent(type, { detail }) : { type, detail };
+
+        const listeners = this.state.listeners.get(type);
+        if (listeners) {
+            const event = createEvent();
+            Array.from(listeners).forEach(listener => {
+                try {
+                    listener.call(this, event);
+                } catch (error) {
+                    console.error(`Error in ${type} listener:`, error);
+                }
+            });
+        }
+
+        if (typeof document !== "undefined" && typeof document.dispatchEvent === "function") {
+            document.dispatchEvent(createEvent());
+        }
+    }
+
     /**
      * Setup event listeners
      */
@@ -876,6 +3456,16 @@ class PrayerTimeApp {
 
         // Add other event listeners as needed
         this.setupTestButtons();
+        this.setupGeneralSettings();
+        this.setupAudioSettings();
+        this.setupDashboardSettings();
+        this.setupIntegrationSettings();
+        this.setupTimetable();
+
+        const stopSimulationButton = document.getElementById("simulation-stop");
+        if (stopSimulationButton) {
+            stopSimulationButton.addEventListener("click", () => this.stopSimulation());
+        }
     }
 
     /**
@@ -915,8 +3505,7 @@ class PrayerTimeApp {
         if (adhanButton) {
             adhanButton.addEventListener("click", () => {
                 if (this.state.nextPrayer) {
-                    const filename = `${this.state.nextPrayer.toLowerCase()}_adhan.mp3`;
-                    this.playAudio(filename);
+                    this.testAudio(this.state.nextPrayer, 'adhan');
                 }
             });
         }
@@ -925,11 +3514,260 @@ class PrayerTimeApp {
         if (reciteButton) {
             reciteButton.addEventListener("click", () => {
                 if (this.state.nextPrayer) {
-                    const filename = `${this.state.nextPrayer.toLowerCase()}_recite.mp3`;
-                    this.playAudio(filename);
+                    this.testAudio(this.state.nextPrayer, 'recite');
+                }
+            });
+        }
+
+        const csvInput = document.getElementById("csv-import");
+        const importButton = document.getElementById("button-import-csv");
+        if (csvInput && importButton) {
+            importButton.addEventListener("click", () => csvInput.click());
+            csvInput.addEventListener("change", async (e) => {
+                await this.importCSVFile(e.target.files[0]);
+                csvInput.value = ""; // Allow re-importing the same file
+            });
+        }
+    }
+
+    /**
+     * Triple click shows the admin toolbar (test buttons and settings), after the PIN if one is set
+     */
+    setupAdminAccess() {
+        if (this.state.adminClickHandler) return;
+
+        let clickCount = 0;
+        let clickTimer = null;
+        this.state.adminClickHandler = () => {
+            clickCount++;
+            if (clickCount === 1) {
+                clickTimer = setTimeout(() => { clickCount = 0; }, 1000);
+            } else if (clickCount === 3) {
+                clearTimeout(clickTimer);
+                clickCount = 0;
+                this.openAdmin();
+            }
+        };
+        document.addEventListener("click", this.state.adminClickHandler);
+
+        const pinPanel = document.getElementById("admin-pin");
+        const pinInput = document.getElementById("admin-pin-input");
+        const submitPin = () => {
+            if (this.unlockAdmin(pinInput ? pinInput.value : "")) return;
+            const status = document.getElementById("admin-pin-status");
+            if (status) status.textContent = this.locale.messages.pinIncorrect;
+            if (pinInput) pinInput.value = "";
+        };
+
+        const submitButton = document.getElementById("admin-pin-submit");
+        if (submitButton) submitButton.addEventListener("click", submitPin);
+        if (pinInput) {
+            pinInput.addEventListener("keydown", (e) => {
+                if (e.key === "Enter") submitPin();
+            });
+        }
+
+        const cancelButton = document.getElementById("admin-pin-close");
+        if (cancelButton && pinPanel) {
+            cancelButton.addEventListener("click", () => pinPanel.classList.remove("visible"));
+        }
+
+        const closeButton = document.getElementById("toggle-test");
+        if (closeButton) closeButton.addEventListener("click", () => this.closeAdmin());
+    }
+
+    /**
+     * Show the admin toolbar, or the PIN prompt while it is locked
+     */
+    openAdmin() {
+        if (!this.getSetting("admin.pin") || this.state.adminUnlocked) {
+            this.unlockAdmin("");
+            return;
+        }
+
+        const pinPanel = document.getElementById("admin-pin");
+        const pinInput = document.getElementById("admin-pin-input");
+        const status = document.getElementById("admin-pin-status");
+        if (!pinPanel) return;
+        if (pinInput) pinInput.value = "";
+        if (status) status.textContent = "";
+        pinPanel.classList.add("visible");
+        if (pinInput) pinInput.focus();
+    }
+
+    /**
+     * Show the admin toolbar if the PIN matches (any PIN when none is set)
+     */
+    unlockAdmin(pin) {
+        const expected = this.getSetting("admin.pin");
+        if (expected && !this.state.adminUnlocked && String(pin).trim() !== expected) return false;
+
+        this.state.adminUnlocked = true;
+        const pinPanel = document.getElementById("admin-pin");
+        if (pinPanel) pinPanel.classList.remove("visible");
+        const testButtons = document.getElementById("test-buttons");
+        if (testButtons) testButtons.classList.add("visible");
+        return true;
+    }
+
+    /**
+     * Hide the admin toolbar and its panels, locking it again
+     */
+    closeAdmin() {
+        this.state.adminUnlocked = false;
+        const testButtons = document.getElementById("test-buttons");
+        if (testButtons) testButtons.classList.remove("visible");
+        document.querySelectorAll(".settings-panel.visible").forEach(panel => panel.classList.remove("visible"));
+    }
+
+    /**
+     * Fill the general settings form from the saved settings (URL overrides listed separately)
+     */
+    renderGeneralSettings() {
+        const settings = this.settings || this.loadSettings();
+        const setValue = (id, value) => {
+            const input = document.getElementById(id);
+            if (input) input[input.type === "checkbox" ? "checked" : "value"] = value;
+        };
+
+        const zoneSelect = document.getElementById("settings-zone");
+        const selector = document.getElementById("zone-select");
+        if (zoneSelect && selector) {
+            zoneSelect.innerHTML = selector.innerHTML;
+            const detectOption = zoneSelect.querySelector('option[value="detect-location"]');
+            if (detectOption) detectOption.value = "";
+        }
+
+        setValue("settings-zone", settings.zone || "");
+        setValue("settings-layout", settings.display.layout);
+        setValue("settings-mute", settings.display.mute);
+        ["settings-language", "settings-second-language"].forEach((id, index) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            select.innerHTML = (index === 1 ? `<option value="">-</option>` : "") + Object.entries(Locales.LOCALES)
+                .map(([language, locale]) => `<option value="${language}">${locale.name}</option>`)
+                .join("");
+        });
+        setValue("settings-language", settings.display.language);
+        setValue("settings-second-language", settings.display.secondLanguage);
+        setValue("settings-theme-pack", settings.theme.pack);
+        setValue("settings-theme-phase", settings.theme.mode);
+        setValue("settings-evening-lead", settings.theme.eveningLeadMin);
+        setValue("settings-night-delay", settings.theme.nightDelayMin);
+        setValue("settings-brightness-day", settings.theme.dayBrightness);
+        setValue("settings-brightness-evening", settings.theme.eveningBrightness);
+        setValue("settings-brightness-night", settings.theme.nightBrightness);
+        setValue("settings-update-interval", settings.timing.updateIntervalMs);
+        setValue("settings-recitation-lead", settings.timing.recitationLeadMin);
+        setValue("settings-imsak-offset", settings.timing.imsakOffsetMin);
+        setValue("settings-pin", settings.admin.pin);
+
+        const overrides = Object.keys(this.state.settingsOverrides)
+            .map(path => `${this.SETTINGS_SCHEMA[path].param}=${this.state.settingsOverrides[path]}`);
+        const status = document.getElementById("settings-status");
+        if (status) {
+            status.textContent = overrides.length > 0
+                ? this.locale.messages.settingsOverridden.replace('{fields}', overrides.join(", "))
+                : "";
+        }
+    }
+
+    /**
+     * Read the general settings form as schema paths
+     */
+    readGeneralSettingsForm() {
+        const value = (id) => {
+            const input = document.getElementById(id);
+            if (!input) return undefined;
+            return input.type === "checkbox" ? input.checked : input.value.trim();
+        };
+
+        const changes = {
+            "zone": value("settings-zone"),
+            "display.layout": value("settings-layout"),
+            "display.mute": value("settings-mute"),
+            "display.language": value("settings-language"),
+            "display.secondLanguage": value("settings-second-language"),
+            "theme.pack": value("settings-theme-pack"),
+            "theme.mode": value("settings-theme-phase"),
+            "theme.eveningLeadMin": value("settings-evening-lead"),
+            "theme.nightDelayMin": value("settings-night-delay"),
+            "theme.dayBrightness": value("settings-brightness-day"),
+            "theme.eveningBrightness": value("settings-brightness-evening"),
+            "theme.nightBrightness": value("settings-brightness-night"),
+            "timing.updateIntervalMs": value("settings-update-interval"),
+            "timing.recitationLeadMin": value("settings-recitation-lead"),
+            "timing.imsakOffsetMin": value("settings-imsak-offset"),
+            "admin.pin": value("settings-pin")
+        };
+        Object.keys(changes).forEach(path => {
+            if (changes[path] === undefined) delete changes[path];
+        });
+        return changes;
+    }
+
+    /**
+     * Wire up the general settings panel: save, JSON export/import
+     */
+    setupGeneralSettings() {
+        const panel = document.getElementById("general-settings");
+        if (!panel) return;
+        const status = document.getElementById("settings-status");
+        const showStatus = (text) => {
+            if (status) status.textContent = text;
+        };
+
+        const openButton = document.getElementById("button-general-settings");
+        if (openButton) {
+            openButton.addEventListener("click", () => {
+                this.renderGeneralSettings();
+                panel.classList.add("visible");
+            });
+        }
+
+        const saveButton = document.getElementById("general-settings-save");
+        if (saveButton) {
+            saveButton.addEventListener("click", () => {
+                const changes = this.readGeneralSettingsForm();
+                for (const [path, value] of Object.entries(changes)) {
+                    try {
+                        this.readSettingValue(path, value);
+                    } catch (error) {
+                        showStatus(`${path}: ${error.message}`);
+                        return;
+                    }
+                }
+                if (this.updateSettings(changes)) panel.classList.remove("visible");
+            });
+        }
+
+        const exportButton = document.getElementById("settings-export");
+        if (exportButton) exportButton.addEventListener("click", () => this.exportSettings());
+
+        const importInput = document.getElementById("settings-import-file");
+        const importButton = document.getElementById("settings-import");
+        if (importInput && importButton) {
+            importButton.addEventListener("click", () => importInput.click());
+            importInput.addEventListener("change", async (e) => {
+                const file = e.target.files[0];
+                importInput.value = ""; // Allow re-importing the same file
+                if (!file) return;
+
+                try {
+                    this.importSettings(await file.text());
+                    this.renderGeneralSettings();
+                    showStatus(this.locale.messages.settingsImported);
+                } catch (error) {
+                    console.error("Settings import failed:", error);
+                    showStatus(this.locale.messages.settingsImportError.replace('{error}', error.message));
                 }
             });
         }
+
+        const closeButton = document.getElementById("general-settings-close");
+        if (closeButton) {
+            closeButton.addEventListener("click", () => panel.classList.remove("visible"));
+        }
     }
 
     /**
@@ -942,26 +3780,12 @@ class PrayerTimeApp {
 
         this.state.clockInterval = setInterval(() => {
             this.updateClock();
-        }, this.UPDATE_INTERVAL);
+        }, this.getSetting("timing.updateIntervalMs"));
 
         // Initial update
         this.updateClock();
     }
 
-    /**
-     * Start audio clear interval
-     */
-    startAudioClearInterval() {
-        if (this.state.audioInterval) {
-            clearInterval(this.state.audioInterval);
-        }
-
-        this.state.audioInterval = setInterval(() => {
-            console.log("Clearing audioPlayed set for the new minute");
-            this.state.audioPlayed.clear();
-        }, this.AUDIO_CLEAR_INTERVAL);
-    }
-
     /**
      * Add performance monitoring
      */
@@ -988,18 +3812,7 @@ class PrayerTimeApp {
      * Add connection status monitoring
      */
     monitorConnection() {
-        const updateConnectionStatus = () => {
-            const statusBar = document.querySelector('.status-bar');
-            if (statusBar) {
-                if (navigator.onLine) {
-                    statusBar.classList.add('connected');
-                    statusBar.innerHTML = '<span>Sumber: JAKIM</span>';
-                } else {
-                    statusBar.classList.remove('connected');
-                    statusBar.innerHTML = '<span class="status-offline">● Offline</span>';
-                }
-            }
-        };
+        const updateConnectionStatus = () => this.updateDataSourceDisplay();
 
         window.addEventListener('online', updateConnectionStatus);
         window.addEventListener('offline', updateConnectionStatus);
@@ -1008,6 +3821,38 @@ class PrayerTimeApp {
         updateConnectionStatus();
     }
 
+    /**
+     * Show connection state and the provider serving the current month
+     */
+    updateDataSourceDisplay() {
+        const notice = document.getElementById('data-source');
+        if (notice) {
+            const isCalculated = this.getDataSourceId() === "calculated";
+            notice.textContent = isCalculated ? this.locale.messages.calculatedNotice : "";
+            notice.style.display = isCalculated ? "block" : "none";
+        }
+
+        const statusBar = document.querySelector('.status-bar');
+        if (!statusBar) return;
+
+        const messages = this.locale.messages;
+        const source = this.getDataSourceLabel();
+        const label = document.createElement("span");
+        statusBar.classList.toggle('connected', navigator.onLine);
+        if (navigator.onLine) {
+            label.textContent = Locales.formatMessage(messages.dataSourceFormat, { source });
+            statusBar.replaceChildren(label);
+            return;
+        }
+
+        label.className = "status-offline";
+        label.textContent = `● ${messages.offline}`;
+        statusBar.replaceChildren(label);
+        if (this.hasPrayerTimes()) {
+            statusBar.append(` • ${Locales.formatMessage(messages.savedDataFormat, { source })}`);
+        }
+    }
+
     /**
      * Add debugging method to check CSV data
      */
@@ -1024,22 +3869,19 @@ class PrayerTimeApp {
         console.log("First data row:", lines[1]);
         console.log("Last data row:", lines[lines.length - 1]);
 
-        // Check date range
-        if (lines.length > 1) {
-            const firstDate = lines[1].split(",")[0];
-            const lastDate = lines[lines.length - 1].split(",")[0];
-            console.log(`Date range: ${firstDate} to ${lastDate}`);
-        }
+        // Parsed months per zone
+        const monthKeys = Object.keys(this.state.csvPrayerData);
+        console.log(`Parsed months: ${monthKeys.length}`, monthKeys);
 
         // Current lookup
-        const today = this.getCurrentLocalTime();
-        const todayKey = this.formatDate(today);
+        const today = this.clock.today();
+        const todayKey = this.core.formatDateForApi(today);
         console.log(`Today's lookup key: ${todayKey}`);
 
-        const foundRow = lines.find(line => line.startsWith(todayKey));
-        console.log("Today's row found:", !!foundRow);
-        if (foundRow) {
-            console.log("Today's data:", foundRow);
+        const foundDay = this.getPrayerTimesForDate(todayKey);
+        console.log("Today's row found:", !!foundDay);
+        if (foundDay) {
+            console.log("Today's data:", foundDay);
         }
     }
 
@@ -1078,11 +3920,12 @@ class PrayerTimeApp {
         try {
             console.log("Manually refreshing prayer data...");
             await this.loadCSVData();
+            this.loadPrayerTimesForDate(this.clock.today());
             this.updateClock(); // Force immediate update
             console.log("Data refreshed successfully");
         } catch (error) {
             console.error("Failed to refresh data:", error);
-            this.showError("Gagal menyegarkan data");
+            this.showError(this.locale.messages.refreshError);
         }
     }
 
@@ -1096,8 +3939,13 @@ class PrayerTimeApp {
             nextPrayer: this.state.nextPrayer,
             prayerTimesCount: Object.keys(this.state.todayPrayerTimes).length,
             audioFilesLoaded: this.state.audioCache.size,
-            audioPlayed: Array.from(this.state.audioPlayed),
+            pendingEvents: this.state.timeline.map(event => event.id),
+            recentEvents: this.state.eventLog.slice(-10),
+            providerOrder: this.core.PROVIDER_ORDER,
+            monthlySources: this.state.monthlySources,
             hijriDate: this.state.currentHijriDate,
+            prayerLayout: this.state.prayerLayout,
+            theme: this.state.themeKey,
             performanceStats: this.state.performanceStats,
             csvDataLength: this.state.csvDataRaw.length
         };
@@ -1117,9 +3965,170 @@ class PrayerTimeApp {
             return;
         }
 
-        const filename = `${prayerName.toLowerCase()}_${type}.mp3`;
-        console.log(`Testing audio: ${filename}`);
-        this.playAudio(filename);
+        const name = this.DISPLAY_PRAYER_NAMES.find(n => n.toLowerCase() === prayerName.toLowerCase());
+        const entry = this.getAudioScheduleEntry(name)[type];
+        console.log(`Testing audio: ${entry.file}`);
+        this.playAudio(entry.file, entry.volume);
+    }
+
+    /**
+     * Swap the clock: a fixed time (Date, ms or ISO string), { offsetMs } relative to the device, or null for the device clock
+     */
+    setClock(time) {
+        this.stopSimulation();
+
+        try {
+            if (time === null || time === undefined) {
+                this.clock.useSystemTime();
+            } else if (typeof time === "object" && !(time instanceof Date)) {
+                this.clock.useOffset(Number(time.offsetMs) || 0);
+            } else {
+                this.clock.useFixedTime(time);
+            }
+        } catch (error) {
+            console.error(error.message);
+            return;
+        }
+
+        const now = this.clock.now();
+        console.log(`Clock set, now ${this.core.formatDateForApi(this.clock.today(now))} ${this.clock.formatTime(now)}`);
+        this.checkDateChange(now);
+        this.rebuildTimeline();
+        this.updateClock();
+    }
+
+    /**
+     * Rehearse from any date/time at an accelerated rate, e.g. { start: "2025-03-31T19:00:00+08:00", rate: 60 }
+     * Audio is muted by default; every event, highlight change and playback goes to the simulation log
+     */
+    startSimulation({ start, rate = 60, muted = true } = {}) {
+        const speed = Number(rate);
+        if (!Number.isFinite(speed) || speed < 1 || speed > this.SIMULATION_MAX_RATE) {
+            console.error(`Invalid simulation rate: ${rate}. Use 1-${this.SIMULATION_MAX_RATE}`);
+            return;
+        }
+
+        try {
+            this.clock.useSimulatedTime(start, speed);
+        } catch (error) {
+            console.error(error.message);
+            return;
+        }
+
+        this.state.simulation = {
+            start: String(start),
+            startMs: this.clock.now().getTime(),
+            rate: speed,
+            muted: !!muted,
+            log: []
+        };
+        this.state.timeline = [];
+        this.state.currentPrayer = null;
+        console.log(`Simulation started at ${start}, x${speed}${muted ? ", audio muted" : ""}`);
+
+        this.reloadForClockChange();
+    }
+
+    /**
+     * Return to the device clock and the real event log; returns the simulation log
+     */
+    stopSimulation() {
+        const simulation = this.state.simulation;
+        if (!simulation) return [];
+
+        this.state.simulation = null;
+        this.state.timeline = [];
+        this.state.currentPrayer = null;
+        this.clock.useSystemTime();
+        console.log(`Simulation stopped after ${simulation.log.length} events`);
+
+        this.reloadForClockChange();
+        return simulation.log;
+    }
+
+    /**
+     * Load the clock's current day and reschedule its events
+     */
+    reloadForClockChange() {
+        const now = this.clock.now();
+        this.state.timeline = [];
+
+        // checkDateChange() rebuilds the timeline once a different day is loaded;
+        // only rebuild here when the loaded times already belong to the clock's day
+        this.checkDateChange(now);
+        if (this.state.currentDateKey === this.core.formatDateForApi(this.clock.today(now))) {
+            this.rebuildTimeline();
+        }
+        this.updateClock();
+    }
+
+    /**
+     * Start a simulation from URL flags: ?simulate=2025-03-31T19:00:00%2B08:00&rate=60&muted=0
+     */
+    startSimulationFromUrl() {
+        const params = new URLSearchParams((window.location && window.location.search) || "");
+        const start = params.get("simulate");
+        if (!start) return;
+
+        this.startSimulation({
+            start,
+            rate: params.has("rate") ? params.get("rate") : 60,
+            muted: params.get("muted") !== "0"
+        });
+    }
+
+    /**
+     * Append to the simulation log with the simulated date and time
+     */
+    recordSimulation(type, prayer, detail = "") {
+        const simulation = this.state.simulation;
+        if (!simulation) return;
+
+        const now = this.clock.now();
+        const entry = {
+            id: `${this.state.currentDateKey}_${prayer}_${type}`,
+            time: `${this.core.formatDateForApi(this.clock.today(now))} ${this.clock.formatTime(now)}`,
+            type,
+            prayer,
+            detail
+        };
+        simulation.log.push(entry);
+        if (simulation.log.length > this.EVENT_LOG_LIMIT) simulation.log.shift();
+        console.log(`[SIM] ${entry.time} ${type} ${prayer} ${detail}`);
+    }
+
+    /**
+     * Simulation log entries (for debugging)
+     */
+    getSimulationLog() {
+        return this.state.simulation ? this.state.simulation.log.slice() : [];
+    }
+
+    /**
+     * Whether playback should be suppressed (display.mute or a muted simulation); playback is logged while simulating
+     */
+    isAudioMuted(filename) {
+        const simulation = this.state.simulation;
+        const muted = this.getSetting("display.mute") || (!!simulation && simulation.muted);
+        if (simulation) this.recordSimulation("audio", "-", muted ? `${filename} (muted)` : filename);
+        return muted;
+    }
+
+    /**
+     * On-screen banner so a simulated clock is never mistaken for the real time
+     */
+    updateSimulationBanner(now) {
+        const simulation = this.state.simulation;
+        document.body.classList.toggle("simulation-mode", !!simulation);
+
+        const banner = document.getElementById("simulation-banner-text");
+        if (!simulation || !banner) return;
+
+        banner.textContent = this.locale.messages.simulationFormat
+            .replace('{date}', this.core.formatDateForApi(this.clock.today(now)))
+            .replace('{time}', this.clock.formatTime(now))
+            .replace('{rate}', simulation.rate)
+            .replace('{muted}', simulation.muted ? this.locale.messages.simulationMuted : "");
     }
 
     /**
@@ -1138,21 +4147,22 @@ class PrayerTimeApp {
         }
 
         try {
-            const { hour, minute } = this.parseTime(timeStr);
+            const { hour, minute } = this.core.parseTime(timeStr);
             const timeMs = this.getTimeInMs(hour, minute);
 
             this.state.nextPrayer = prayerName;
             this.state.nextTimeMs = timeMs;
 
             console.log(`Forced next prayer to: ${prayerName} at ${timeStr}`);
-            this.updateNextPrayerTimer(this.getCurrentLocalTime());
+            this.updateNextPrayerTimer(this.clock.now());
         } catch (error) {
             console.error(`Error setting next prayer:`, error);
         }
     }
 
     /**
-     * Get prayer times for any date (for debugging)
+     * Get prayer times for any date from the current zone's CSV data (for debugging)
+     * Accepts API (05-Apr-2025) or CSV (5-Apr-25) date format
      */
     getPrayerTimesForDate(dateStr) {
         if (!this.state.csvDataRaw) {
@@ -1160,37 +4170,35 @@ class PrayerTimeApp {
             return null;
         }
 
-        const lines = this.state.csvDataRaw.trim().split("\n");
-        const headers = lines[0].split(",").map(h => h.trim());
-
-        for (let i = 1; i < lines.length; i++) {
-            const row = lines[i].split(",").map(cell => cell.trim());
-
-            if (row[0] === dateStr) {
-                const prayerTimes = {};
-                headers.forEach((header, idx) => {
-                    if (idx < row.length) {
-                        prayerTimes[header] = row[idx];
-                    }
-                });
-                return prayerTimes;
-            }
+        let date;
+        try {
+            date = this.core.parseCSVDate(dateStr);
+        } catch (error) {
+            console.error(error.message);
+            return null;
         }
 
-        return null;
+        const cacheKey = `${this.state.currentZone}_${date.getFullYear()}_${date.getMonth() + 1}`;
+        const monthData = this.state.csvPrayerData[cacheKey] || [];
+        const apiDateKey = this.core.formatDateForApi(date);
+
+        return monthData.find(d => d.date === apiDateKey) || null;
     }
 
     /**
-     * List available dates in CSV (for debugging)
+     * List available dates in the current zone's CSV data (for debugging)
      */
     getAvailableDates(limit = 10) {
-        if (!this.state.csvDataRaw) {
-            console.log("No CSV data loaded");
-            return [];
+        const prefix = `${this.state.currentZone}_`;
+        const dates = Object.keys(this.state.csvPrayerData)
+            .filter(key => key.startsWith(prefix))
+            .flatMap(key => this.state.csvPrayerData[key].map(d => d.date));
+
+        if (dates.length === 0) {
+            console.log(`No CSV data loaded for ${this.state.currentZone}`);
         }
 
-        const lines = this.state.csvDataRaw.trim().split("\n");
-        return lines.slice(1, limit + 1).map(line => line.split(",")[0]);
+        return dates.slice(0, limit);
     }
 
     /**
@@ -1204,9 +4212,9 @@ class PrayerTimeApp {
             clearInterval(this.state.clockInterval);
             this.state.clockInterval = null;
         }
-        if (this.state.audioInterval) {
-            clearInterval(this.state.audioInterval);
-            this.state.audioInterval = null;
+        if (this.state.eventTimer) {
+            clearTimeout(this.state.eventTimer);
+            this.state.eventTimer = null;
         }
 
         // Pause and cleanup audio
@@ -1217,7 +4225,7 @@ class PrayerTimeApp {
 
         // Clear state
         this.state.audioCache.clear();
-        this.state.audioPlayed.clear();
+        this.state.timeline = [];
         this.state.todayPrayerTimes = {};
         this.state.csvDataRaw = "";
         this.state.isInitialized = false;
@@ -1246,6 +4254,11 @@ let prayerApp;
 window.addEventListener("DOMContentLoaded", () => {
     console.log("DOM loaded, initializing Prayer Time App...");
     prayerApp = new PrayerTimeApp();
+    prayerApp.registerServiceWorker();
+
+    // Layout and language apply to the start screen too
+    prayerApp.applySettingsOverridesFromUrl();
+    prayerApp.applyDisplaySettings();
 
     // Expose to global scope for debugging
     window.prayerApp = prayerApp;
@@ -1256,9 +4269,33 @@ window.addEventListener("DOMContentLoaded", () => {
         refreshData: () => prayerApp.refreshData(),
         testAudio: (prayer, type) => prayerApp.testAudio(prayer, type),
         forceNext: (prayer) => prayerApp.forceNextPrayer(prayer),
+        setClock: (time) => prayerApp.setClock(time),
+        simulate: (start, rate, muted) => prayerApp.startSimulation({ start, rate, muted }),
+        stopSimulation: () => prayerApp.stopSimulation(),
+        getSimulationLog: () => prayerApp.getSimulationLog(),
         getPrayerTimes: (date) => prayerApp.getPrayerTimesForDate(date),
         getAvailableDates: (limit) => prayerApp.getAvailableDates(limit),
         restart: () => prayerApp.restart(),
+        setProviders: (order, mirrorUrl) => prayerApp.setProviderConfig(order, mirrorUrl),
+        getSettings: () => prayerApp.settings,
+        setLanguage: (language) => prayerApp.setLanguage(language),
+        setTheme: (pack, mode) => prayerApp.updateSettings({ "theme.pack": pack, "theme.mode": mode || "auto" }),
+        updateSettings: (changes) => prayerApp.updateSettings(changes),
+        exportSettings: () => prayerApp.exportSettings(),
+        importSettings: (json) => prayerApp.importSettings(json),
+        listCache: () => prayerApp.listCachedMonths(),
+        compareCalculated: (zone) => prayerApp.compareCalculatedWithCSV(zone),
+        setIqamah: (prayer, minutes) => prayerApp.setIqamahOffset(prayer, minutes),
+        setJumaat: (changes) => prayerApp.setJumaatSettings(changes),
+        setRamadan: (changes) => prayerApp.setRamadanSettings(changes),
+        setDashboard: (changes) => prayerApp.setDashboardSettings(changes),
+        setIntegrations: (changes) => prayerApp.setIntegrationSettings(changes),
+        testIntegrations: () => prayerApp.testIntegrations(),
+        getIntegrationLog: (limit) => prayerApp.getIntegrationLog(limit),
+        exportTimetable: (format, options) => prayerApp.exportTimetable(format, options),
+        clearCache: (zone) => prayerApp.clearCachedMonths(zone),
+        getEventLog: (limit) => prayerApp.getEventLog(limit),
+        getTimeline: () => prayerApp.getTimeline(),
         debugCSV: () => prayerApp.debugCSVData()
     };
 
@@ -1290,7 +4327,7 @@ document.addEventListener('visibilitychange', function () {
 window.addEventListener('error', function (event) {
     console.error('Global error caught:', event.error);
     if (prayerApp) {
-        prayerApp.showError('Ralat aplikasi. Cuba muat semula halaman jika masalah berterusan.');
+        prayerApp.showError(prayerApp.locale.messages.appError);
     }
 });
 
@@ -1300,7 +4337,7 @@ window.addEventListener('error', function (event) {
 window.addEventListener('unhandledrejection', function (event) {
     console.error('Unhandled promise rejection:', event.reason);
     if (prayerApp) {
-        prayerApp.showError('Ralat sistem. Sila semak sambungan internet.');
+        prayerApp.showError(prayerApp.locale.messages.systemError);
     }
 });
 
@@ -1317,12 +4354,30 @@ console.log(`
 Debug commands available:
 • window.debugPrayerApp.getInfo() - Get app status
 • window.debugPrayerApp.testAudio('subuh', 'adhan') - Test audio
+• window.debugPrayerApp.setClock('2025-03-31T20:30:00+08:00') / setClock({ offsetMs: 60000 }) / setClock(null) - Fixed, offset or device clock
+• window.debugPrayerApp.simulate('2025-03-31T19:00:00+08:00', 60) / getSimulationLog() / stopSimulation() - Rehearse a day (?simulate=... in the URL)
+• window.debugPrayerApp.getTimeline() / getEventLog(20) - Scheduled and fired/missed audio events
 • window.debugPrayerApp.refreshData() - Reload CSV data
 • window.debugPrayerApp.debugCSV() - Debug CSV parsing
 • window.debugPrayerApp.getAvailableDates(10) - Show dates in CSV
+• window.debugPrayerApp.listCache() / clearCache('JHR04') - Cached months
+• window.debugPrayerApp.compareCalculated('JHR04') - Calculated times vs JAKIM CSV
+• window.debugPrayerApp.setIqamah('Subuh', 20) - Iqamah minutes after prayer time
+• window.debugPrayerApp.setJumaat({ khutbahOffsetMin: 15 }) - Friday (Jumaat) mode
+• window.debugPrayerApp.setRamadan({ mode: 'on', sahur: { enabled: true } }) - Ramadan mode
+• window.debugPrayerApp.exportTimetable('ics', { from: new Date(2025, 0, 1), to: new Date(2025, 0, 31), alarmMin: 10 }) - Export .ics/.csv
+• window.debugPrayerApp.setDashboard({ enabled: true, zones: ['SBH07', 'WLY01'] }) - Multi-zone dashboard
+• window.debugPrayerApp.setIntegrations({ webhooks: ['http://ha.local:8123/api/webhook/solat'] }) - Webhook/MQTT notifications
+• window.debugPrayerApp.testIntegrations() / getIntegrationLog() - Test-fire and recent deliveries
+• window.prayerApp.on('prayerstart', detail => ...) - Subscribe to app events (see README)
+• window.debugPrayerApp.setLanguage('en') - Display language: ms, en, ar (RTL), jawi; ?lang=ar&lang2=ms on a TV layout shows both
+• window.debugPrayerApp.setTheme('mosque-green') / setTheme('warm', 'night') - Colour pack; phase follows Syuruk/Maghrib unless forced (?theme=high-contrast&phase=night)
+• window.debugPrayerApp.updateSettings({ 'display.layout': 'ipad' }) - Layout per screen: tv, ipad (portrait grid), compact (one-line ticker), countdown (?layout=countdown)
+• window.debugPrayerApp.updateSettings({ 'display.layout': 'tv', 'admin.pin': '1234' }) / exportSettings() / importSettings(json) - Settings (?zone=SGR01&layout=tv&mute=1 per screen)
+• window.debugPrayerApp.setProviders(['api-v1', 'api-v2', 'mirror', 'csv'], url) - Data source order
 
 For TV usage: 
-• Warm color scheme for night viewing
+• Day/evening/night colours and dimming from Syuruk and Maghrib
 • Fullscreen start button for easy clicking
 • Auto-start for returning users
 • Supports any input method (remote, keyboard, mouse)
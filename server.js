@@ -0,0 +1,139 @@
+/**
+ * Local HTTP JSON endpoint for devices that can't run the web app (LED clocks, speakers)
+ * Started with `node cli.js serve`. Answers from the month cache and CSV timetables,
+ * so it keeps working when the internet is down.
+ *
+ *   GET /today[?zone=]              Day fields as in todayPrayerTimes ("Subuh", "Date Hijri", "Day", ...)
+ *   GET /next[?zone=]               Next prayer and seconds remaining
+ *   GET /month/{zone}/{yyyy-mm}     Every day of a month
+ *   GET /status                     Clock, default zone and loaded months
+ */
+"use strict";
+
+const http = require("http");
+
+/**
+ * Create (but don't start) the server. getDay(zone, date) and findNext(zone, now) resolve
+ * day/next-prayer data or reject with a "no data" error; onDataLoaded() runs after
+ * a request loaded new months (to persist the cache).
+ */
+function createPrayerServer(core, { zone: defaultZone, offline = false, getDay, findNext, onDataLoaded = () => { } }) {
+    const startedAt = Date.now();
+
+    const routes = [
+        {
+            pattern: /^\/today$/,
+            handle: async (match, query) => {
+                const zone = readZone(query.get("zone") || defaultZone);
+                const { date, times, source } = await getDay(zone, core.clock.today());
+                return { zone, date: core.formatDateForApi(date), source, ...times };
+            }
+        },
+        {
+            pattern: /^\/next$/,
+            handle: async (match, query) => {
+                const zone = readZone(query.get("zone") || defaultZone);
+                const now = core.clock.now();
+                const next = await findNext(zone, now);
+                return {
+                    zone,
+                    prayer: next.prayer,
+                    label: next.label,
+                    date: core.formatDateForApi(next.date),
+                    time: core.clock.formatTime(next.timeMs).slice(0, 5),
+                    timeMs: next.timeMs,
+                    inSeconds: Math.floor((next.timeMs - now.getTime()) / 1000),
+                    source: next.source
+                };
+            }
+        },
+        {
+            pattern: /^\/month\/([A-Za-z]{3}\d{2})\/(\d{4})-(\d{2})$/,
+            handle: async match => {
+                const zone = readZone(match[1]);
+                const year = Number(match[2]);
+                const month = Number(match[3]);
+                if (month < 1 || month > 12) throw httpError(400, `Invalid month: ${match[2]}-${match[3]}`);
+
+                const days = [];
+                for (let date = new Date(year, month - 1, 1); date.getMonth() === month - 1; date = core.clock.addDays(date, 1)) {
+                    const day = await getDay(zone, date);
+                    days.push({ date: core.formatDateForApi(date), ...day.times });
+                }
+                return { zone, year, month, source: core.monthlySources[`${zone}_${year}_${month}`], days };
+            }
+        },
+        {
+            pattern: /^\/status$/,
+            handle: async () => {
+                const now = core.clock.now();
+                return {
+                    ok: true,
+                    zone: defaultZone,
+                    now: now.toISOString(),
+                    time: core.clock.formatTime(now),
+                    date: core.formatDateForApi(core.clock.today(now)),
+                    uptimeSec: Math.floor((Date.now() - startedAt) / 1000),
+                    offline,
+                    providerOrder: core.PROVIDER_ORDER,
+                    months: Object.keys(core.monthlyPrayerData).map(key => ({ key, source: core.monthlySources[key] }))
+                };
+            }
+        }
+    ];
+
+    return http.createServer(async (request, response) => {
+        const url = new URL(request.url, "http://localhost");
+        const loadedBefore = Object.keys(core.monthlyPrayerData).length;
+        let status = 200;
+        let body;
+
+        try {
+            if (request.method !== "GET" && request.method !== "HEAD") {
+                throw httpError(405, `Method not allowed: ${request.method}`);
+            }
+
+            const route = routes.find(r => r.pattern.test(url.pathname));
+            if (!route) throw httpError(404, `Not found: ${url.pathname}`);
+
+            body = await route.handle(url.pathname.match(route.pattern), url.searchParams);
+        } catch (error) {
+            // "No data" errors from getDay()/findNext() carry exitCode 1 rather than a status
+            status = error.status || (error.exitCode ? 404 : 500);
+            body = { error: error.message };
+            if (status === 500) console.error(`Error serving ${url.pathname}:`, error);
+        }
+
+        console.log(`${request.method} ${url.pathname}${url.search} ${status}`);
+        if (Object.keys(core.monthlyPrayerData).length !== loadedBefore) onDataLoaded();
+
+        const json = JSON.stringify(body);
+        response.writeHead(status, {
+            "Content-Type": "application/json; charset=utf-8",
+            "Content-Length": Buffer.byteLength(json),
+            "Cache-Control": "no-store",
+            "Access-Control-Allow-Origin": "*"
+        });
+        response.end(request.method === "HEAD" ? undefined : json);
+    });
+}
+
+/**
+ * Error carrying an HTTP status
+ */
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Upper-cased zone code, or a 400 error
+ */
+function readZone(value) {
+    const zone = String(value).toUpperCase();
+    if (!/^[A-Z]{3}\d{2}$/.test(zone)) throw httpError(400, `Invalid zone code: ${value}`);
+    return zone;
+}
+
+module.exports = { createPrayerServer };
@@ -0,0 +1,142 @@
+/**
+ * Service worker for offline use of the Prayer Time display
+ * - Precaches app shell, bundled CSV timetable and the default audio files
+ * - Audio: cache-first (large files, never re-downloaded); the app sends the files it
+ *   plays in a "cache-audio" message
+ * - Prayer time API responses: network-first, falling back to the cached month
+ */
+
+// Bump CACHE_VERSION whenever the APP_SHELL list changes. Audio has its own cache,
+// so a new app version doesn't download the audio again
+const CACHE_VERSION = "v5";
+const APP_CACHE = `prayer-app-${CACHE_VERSION}`;
+const DATA_CACHE = `prayer-data-${CACHE_VERSION}`;
+const AUDIO_CACHE = "prayer-audio-v1";
+
+const APP_SHELL = [
+    "./",
+    "./index.html",
+    "./ipad.html",
+    "./locales.js",
+    "./layouts.js",
+    "./prayer-core.js",
+    "./script.js",
+    "./manifest.webmanifest",
+    "./icon.svg",
+    "./prayer_times.csv",
+    "./jumaat.json"
+];
+
+// Default audio (see audio-files.txt): {prayer}_recite.mp3 and {prayer}_adhan.mp3, plus the iqamah,
+// sahur and Imsak alerts
+const AUDIO_PRAYERS = ["subuh", "syuruk", "zohor", "asar", "maghrib", "isyak"];
+const AUDIO_FILES = [
+    ...AUDIO_PRAYERS.flatMap(name => [`./${name}_recite.mp3`, `./${name}_adhan.mp3`]),
+    "./iqamah.mp3",
+    "./sahur.mp3",
+    "./imsak_siren.mp3"
+];
+const AUDIO_EXTENSIONS = /\.(mp3|m4a|aac|ogg|oga|wav)$/i;
+
+const API_HOSTS = ["api.waktusolat.app"];
+
+self.addEventListener("install", (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(APP_CACHE);
+        await cache.addAll(APP_SHELL);
+
+        // Not every prayer has both files, so audio is cached individually
+        await cacheAudio(AUDIO_FILES);
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener("activate", (event) => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys
+            .filter(key => ![APP_CACHE, DATA_CACHE, AUDIO_CACHE].includes(key))
+            .map(key => caches.delete(key)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener("fetch", (event) => {
+    const request = event.request;
+    if (request.method !== "GET") return;
+
+    const url = new URL(request.url);
+
+    if (API_HOSTS.includes(url.hostname)) {
+        event.respondWith(networkFirst(request, DATA_CACHE));
+    } else if (url.origin === self.location.origin) {
+        if (AUDIO_EXTENSIONS.test(url.pathname)) {
+            event.respondWith(cacheFirst(request));
+        } else {
+            event.respondWith(networkFirst(request, APP_CACHE));
+        }
+    }
+});
+
+// Audio files the app plays (sent on start and after settings change)
+self.addEventListener("message", (event) => {
+    const data = event.data || {};
+    if (data.type !== "cache-audio" || !Array.isArray(data.files)) return;
+    event.waitUntil(cacheAudio(data.files));
+});
+
+/**
+ * Store same-origin audio files not cached yet; missing files are skipped
+ */
+async function cacheAudio(files) {
+    const cache = await caches.open(AUDIO_CACHE);
+
+    await Promise.all(files.map(async (file) => {
+        const url = new URL(String(file), self.registration.scope);
+        if (url.origin !== self.location.origin || !AUDIO_EXTENSIONS.test(url.pathname)) return;
+        if (await cache.match(url.href)) return;
+
+        try {
+            await cache.add(url.href);
+        } catch (error) {
+            console.warn(`SW: audio not cached ${file}`, error);
+        }
+    }));
+}
+
+/**
+ * Serve from cache, fetching and storing on a miss
+ */
+async function cacheFirst(request) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok && response.status === 200) {
+        const cache = await caches.open(AUDIO_CACHE);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Try the network first so data stays fresh, fall back to the last cached copy
+ */
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        // Query strings (?zone=...) shouldn't stop the cached page being served
+        const cached = await cache.match(request) ||
+            await caches.match(request, { ignoreSearch: request.mode === "navigate" });
+        if (cached) return cached;
+        throw error;
+    }
+}
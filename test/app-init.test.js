@@ -0,0 +1,46 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { setupBrowser, captureConsole } = require("./helpers/browser.js");
+
+setupBrowser();
+const messages = captureConsole();
+const PrayerTimeApp = require("../script.js");
+
+test("init() starts with the default settings of a fresh profile", async (t) => {
+    const app = new PrayerTimeApp();
+    // init() schedules itself again when it fails
+    const init = app.init;
+    let retries = 0;
+    app.init = () => {
+        retries++;
+    };
+    const preloaded = [];
+    const preloadAudio = app.preloadAudio.bind(app);
+    app.preloadAudio = (file) => {
+        preloaded.push(file);
+        return preloadAudio(file);
+    };
+    // A fresh profile has no zone: location detection falls back to the default zone,
+    // which loads in the background
+    const zoneLoads = [];
+    const handleZoneChange = app.handleZoneChange.bind(app);
+    app.handleZoneChange = (zone) => {
+        const load = handleZoneChange(zone);
+        zoneLoads.push(load);
+        return load;
+    };
+    app.clock.useFixedTime("2025-03-07T13:00:00+08:00");
+
+    await init.call(app);
+    await Promise.all(zoneLoads);
+    t.after(() => app.destroy());
+
+    assert.deepStrictEqual(messages.error.filter(e => e.includes("Failed to initialize")), []);
+    assert.strictEqual(app.state.isInitialized, true);
+    assert.strictEqual(retries, 0);
+    assert.strictEqual(app.state.currentZone, "JHR04");
+    assert.ok(preloaded.includes("imsak_siren.mp3"), "Imsak alert (on by default) is preloaded");
+    assert.ok(preloaded.includes("iqamah.mp3"), "iqamah alert is preloaded");
+});
@@ -0,0 +1,27 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { setupBrowser, captureConsole } = require("./helpers/browser.js");
+
+setupBrowser();
+captureConsole();
+const PrayerTimeApp = require("../script.js");
+
+test("compareCalculatedWithCSV() reports the calculator against the bundled JAKIM CSV", async () => {
+    const app = new PrayerTimeApp();
+    await app.loadCSVData();
+
+    const report = app.compareCalculatedWithCSV("JHR04");
+    assert.strictEqual(report.Subuh.days, 365);
+
+    // Subuh at the 20° convention comes out 8-10 minutes before JAKIM's published
+    // times (CSV minus calculated); Imsak follows Subuh
+    ["Imsak", "Subuh"].forEach(name => {
+        assert.ok(report[name].meanDiff >= 8 && report[name].meanDiff <= 10, `${name} mean difference ${report[name].meanDiff}`);
+        assert.ok(report[name].maxAbsDiff <= 10, `${name} off by up to ${report[name].maxAbsDiff} minutes`);
+    });
+    ["Syuruk", "Zohor", "Asar", "Maghrib", "Isyak"].forEach(name => {
+        assert.strictEqual(report[name].within1MinPct, 100, `${name} within a minute`);
+    });
+});
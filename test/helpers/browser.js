@@ -0,0 +1,92 @@
+/**
+ * Browser globals for loading script.js in Node: index.html markup in jsdom (scripts not run),
+ * local files served by fetch() (network requests fail, as offline), and an Audio stub that
+ * "loads" files present in the repo
+ */
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { JSDOM } = require("jsdom");
+
+const ROOT = path.join(__dirname, "..", "..");
+
+/**
+ * Audio element stand-in: canplaythrough for files in the repo, error otherwise
+ */
+class FakeAudio {
+    constructor(src = "") {
+        this.src = src;
+        this.volume = 1;
+        this.paused = true;
+        this.listeners = {};
+        setImmediate(() => this.dispatch(fs.existsSync(path.join(ROOT, src)) ? "canplaythrough" : "error"));
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+    }
+
+    removeEventListener(type, listener) {
+        this.listeners[type] = (this.listeners[type] || []).filter(l => l !== listener);
+    }
+
+    dispatch(type) {
+        const listeners = this.listeners[type] || [];
+        this.listeners[type] = [];
+        listeners.forEach(listener => listener({ type, target: this }));
+    }
+
+    play() {
+        this.paused = false;
+        return Promise.resolve();
+    }
+
+    pause() {
+        this.paused = true;
+    }
+}
+
+/**
+ * Install the globals (once per test file, before requiring script.js)
+ */
+function setupBrowser({ url = "http://localhost/index.html" } = {}) {
+    const html = fs.readFileSync(path.join(ROOT, "index.html"), "utf8").replace(/<script[\s\S]*?<\/script>/g, "");
+    const dom = new JSDOM(html, { url, pretendToBeVisual: true });
+
+    global.window = dom.window;
+    global.document = dom.window.document;
+    global.localStorage = dom.window.localStorage;
+    global.navigator = dom.window.navigator;
+    global.CustomEvent = dom.window.CustomEvent;
+    global.Audio = FakeAudio;
+    dom.window.Audio = FakeAudio;
+    global.fetch = async (resource) => {
+        const target = new URL(String(resource), url);
+        const file = path.join(ROOT, decodeURIComponent(target.pathname));
+        if (target.origin !== new URL(url).origin || !fs.existsSync(file)) {
+            throw new TypeError(`Failed to fetch ${resource}`);
+        }
+        const body = fs.readFileSync(file, "utf8");
+        return {
+            ok: true,
+            status: 200,
+            text: async () => body,
+            json: async () => JSON.parse(body)
+        };
+    };
+    return dom;
+}
+
+/**
+ * Keep the app's console output out of the test report; returns the collected messages by level
+ */
+function captureConsole() {
+    const messages = { log: [], warn: [], error: [] };
+    Object.keys(messages).forEach(level => {
+        console[level] = (...args) => messages[level].push(args.map(String).join(" "));
+    });
+    return messages;
+}
+
+module.exports = { setupBrowser, captureConsole, FakeAudio, ROOT };
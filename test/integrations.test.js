@@ -0,0 +1,59 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { setupBrowser, captureConsole } = require("./helpers/browser.js");
+
+setupBrowser();
+captureConsole();
+const PrayerTimeApp = require("../script.js");
+
+/**
+ * WebSocket to a broker that answers CONNECT with CONNACK and drains the send buffer slowly
+ */
+class FakeBrokerSocket {
+    constructor(url, protocols) {
+        this.url = url;
+        this.protocols = protocols;
+        this.bufferedAmount = 0;
+        this.events = [];
+        FakeBrokerSocket.instances.push(this);
+        setTimeout(() => this.onopen(), 0);
+    }
+
+    send(packet) {
+        this.events.push(`send ${packet[0].toString(16)}`);
+        this.bufferedAmount += packet.length;
+        setTimeout(() => {
+            this.bufferedAmount -= packet.length;
+        }, 30);
+
+        if (packet[0] === 0x10) {
+            setTimeout(() => {
+                this.events.push("connack");
+                this.onmessage({ data: new Uint8Array([0x20, 0x02, 0x00, 0x00]).buffer });
+            }, 10);
+        }
+    }
+
+    close() {
+        this.events.push(`close (${this.bufferedAmount} buffered)`);
+    }
+}
+FakeBrokerSocket.instances = [];
+
+test("MQTT publishes after CONNACK and closes once the send buffer is empty", async (t) => {
+    global.WebSocket = FakeBrokerSocket;
+    t.after(() => delete global.WebSocket);
+
+    const app = new PrayerTimeApp();
+    const results = await app.testIntegrations({
+        ...app.DEFAULT_INTEGRATION_SETTINGS,
+        mqtt: { ...app.DEFAULT_INTEGRATION_SETTINGS.mqtt, enabled: true, url: "ws://broker.local:9001" }
+    });
+
+    assert.deepStrictEqual(results, [{ target: "mqtt prayer-times/JHR04/test", ok: true }]);
+    const [socket] = FakeBrokerSocket.instances;
+    assert.deepStrictEqual(socket.protocols, ["mqtt"]);
+    assert.deepStrictEqual(socket.events, ["send 10", "connack", "send 30", "send e0", "close (0 buffered)"]);
+});
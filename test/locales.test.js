@@ -0,0 +1,35 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { setupBrowser, captureConsole } = require("./helpers/browser.js");
+const Locales = require("../locales.js");
+
+setupBrowser();
+captureConsole();
+const PrayerTimeApp = require("../script.js");
+
+test("every display language has every message", () => {
+    const keys = Object.keys(Locales.LOCALES[Locales.DEFAULT_LANGUAGE].messages);
+    Object.entries(Locales.LOCALES).forEach(([id, locale]) => {
+        assert.deepStrictEqual(keys.filter(key => !(key in locale.messages)), [], `${id} messages`);
+    });
+});
+
+test("status bar follows the display language", async () => {
+    const app = new PrayerTimeApp();
+    app.clock.useFixedTime("2025-03-07T13:00:00+08:00");
+    app.core.PROVIDER_ORDER = ["csv"];
+    app.state.currentZone = "JHR04";
+    await app.loadCSVData();
+    await app.fetchPrayerData("JHR04", 2025, 3);
+    app.state.isInitialized = true;
+
+    const statusBar = () => document.querySelector(".status-bar").textContent;
+    assert.strictEqual(statusBar(), "Sumber: CSV");
+    app.setLanguage("en");
+    assert.strictEqual(statusBar(), "Source: CSV");
+    app.setLanguage("jawi");
+    assert.strictEqual(statusBar(), "سومبر: CSV");
+    app.destroy();
+});
@@ -0,0 +1,209 @@
+"use strict";
+
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { PrayerCore, PrayerCacheStore } = require("../prayer-core.js");
+const Locales = require("../locales.js");
+const { captureConsole } = require("./helpers/browser.js");
+
+captureConsole();
+
+const CSV_TEXT = fs.readFileSync(path.join(__dirname, "..", "prayer_times.csv"), "utf8");
+
+/**
+ * Core serving only the bundled JHR04 CSV
+ */
+function createCsvCore() {
+    const core = new PrayerCore({ providerOrder: ["csv"] });
+    core.addCSVData("JHR04", CSV_TEXT);
+    return core;
+}
+
+describe("parseTime", () => {
+    const core = new PrayerCore();
+
+    it("reads 24-hour API times with or without seconds", () => {
+        assert.deepStrictEqual(core.parseTime("06:00:00"), { hour: 6, minute: 0 });
+        assert.deepStrictEqual(core.parseTime("19:14"), { hour: 19, minute: 14 });
+        assert.deepStrictEqual(core.parseTime(" 00:05 "), { hour: 0, minute: 5 });
+    });
+
+    it("converts 12-hour CSV times to 24-hour", () => {
+        assert.deepStrictEqual(core.parseTime("5:49 AM"), { hour: 5, minute: 49 });
+        assert.deepStrictEqual(core.parseTime("1:15 PM"), { hour: 13, minute: 15 });
+        assert.deepStrictEqual(core.parseTime("12:30 PM"), { hour: 12, minute: 30 });
+        assert.deepStrictEqual(core.parseTime("12:05 AM"), { hour: 0, minute: 5 });
+    });
+
+    it("rejects malformed times", () => {
+        ["", "abc", "13:00 PM", "0:30 AM", "7:60 AM", "7:00 XM", "7 AM"].forEach(value => {
+            assert.throws(() => core.parseTime(value), Error, value);
+        });
+        assert.throws(() => core.parseTime(null), /Invalid time string/);
+    });
+
+    it("shifts times across midnight", () => {
+        assert.strictEqual(core.addMinutesToTime("00:05", -10), "23:55");
+        assert.strictEqual(core.addMinutesToTime("23:58", 5), "00:03");
+        assert.strictEqual(core.fixTimeFormat("06:00:00"), "06:00");
+    });
+});
+
+describe("JAKIM CSV", () => {
+    it("parses 12-hour rows into 24-hour day records", () => {
+        const days = new PrayerCore().parseJakimCSV(CSV_TEXT);
+        assert.strictEqual(days.length, 365);
+        assert.deepStrictEqual(days[0], {
+            hijri: "1446-07-01",
+            date: "01-Jan-2025",
+            imsak: "05:49:00",
+            fajr: "05:59:00",
+            syuruk: "07:13:00",
+            dhuhr: "13:15:00",
+            asr: "16:38:00",
+            maghrib: "19:14:00",
+            isha: "20:28:00"
+        });
+    });
+
+    it("reports missing columns", () => {
+        assert.throws(() => new PrayerCore().parseJakimCSV("Date Masihi,Subuh\n1-Jan-25,5:59 AM"), /CSV missing columns/);
+    });
+});
+
+describe("month rollover", () => {
+    let core;
+    before(() => {
+        core = createCsvCore();
+    });
+
+    it("moves to the first of the next month and year", () => {
+        const { clock } = core;
+        assert.strictEqual(core.formatDateForApi(clock.addDays(new Date(2025, 0, 31), 1)), "01-Feb-2025");
+        assert.strictEqual(core.formatDateForApi(clock.addDays(new Date(2025, 1, 28), 1)), "01-Mar-2025");
+        assert.strictEqual(core.formatDateForApi(clock.addDays(new Date(2024, 1, 28), 1)), "29-Feb-2024");
+        assert.strictEqual(core.formatDateForApi(clock.addDays(new Date(2025, 11, 31), 1)), "01-Jan-2026");
+    });
+
+    it("uses Malaysian time for the calendar day", () => {
+        // 00:30 on 1 Jan 2026 in Malaysia is still 31 Dec in UTC
+        assert.strictEqual(core.formatDateForApi(core.clock.today(new Date("2025-12-31T16:30:00Z"))), "01-Jan-2026");
+    });
+
+    it("loads the next month's data for the first day", async () => {
+        const lastDay = new Date(2025, 0, 31);
+        const today = await core.loadDayTimes("JHR04", lastDay);
+        const tomorrow = await core.loadDayTimes("JHR04", core.clock.addDays(lastDay, 1));
+
+        assert.ok(core.monthlyPrayerData["JHR04_2025_2"], "February loaded");
+        assert.strictEqual(today["Day"], "Jumaat");
+        assert.strictEqual(tomorrow["Day"], "Sabtu");
+        assert.strictEqual(tomorrow["Date Hijri"], "1446-08-02");
+    });
+
+    it("finds tomorrow's Subuh in the next month after Isyak", async () => {
+        const lastDay = new Date(2025, 0, 31);
+        const today = await core.loadDayTimes("JHR04", lastDay);
+        const tomorrow = await core.loadDayTimes("JHR04", core.clock.addDays(lastDay, 1));
+
+        const next = core.findNextPrayer(today, tomorrow, new Date("2025-01-31T21:00:00+08:00"));
+        const { hour, minute } = core.parseTime(tomorrow["Subuh"]);
+        assert.strictEqual(next.prayer, "Subuh");
+        assert.strictEqual(next.timeMs, new Date(`2025-02-01T${String(hour).padStart(2, "0")}:${String(minute).padStart(2, "0")}:00+08:00`).getTime());
+    });
+
+    it("fails when no provider has the month", async () => {
+        await assert.rejects(core.fetchPrayerData("JHR04", 2026, 1), /All providers failed/);
+    });
+});
+
+describe("Hijri dates", () => {
+    const core = new PrayerCore();
+
+    it("converts JAKIM CSV Hijri dates", () => {
+        assert.strictEqual(core.parseCSVHijriDate("01-Rej-1446"), "1446-07-01");
+        assert.strictEqual(core.parseCSVHijriDate("29-Zhj-1446"), "1446-12-29");
+        assert.throws(() => core.parseCSVHijriDate("01-Xyz-1446"), /Invalid CSV Hijri date/);
+    });
+
+    it("formats in each display language", () => {
+        assert.strictEqual(core.formatHijriDate("1446-09-01"), "01 Ramadan 1446H");
+        assert.strictEqual(core.formatHijriDate("1446-12-29"), "29 Zulhijjah 1446H");
+        assert.strictEqual(core.formatHijriDate("1446-09-01", Locales.getLocale("en")), "01 Ramadan 1446 AH");
+        assert.strictEqual(core.formatHijriDate("1446-09-01", Locales.getLocale("ar")), "٠١ رمضان ١٤٤٦هـ");
+        assert.strictEqual(core.formatHijriDate("1446-09-01", Locales.getLocale("jawi")), "01 رمضان 1446هـ");
+    });
+
+    it("leaves unexpected formats as they are", () => {
+        assert.strictEqual(core.formatHijriDate(""), "");
+        assert.strictEqual(core.formatHijriDate("01/09/1446"), "01/09/1446");
+    });
+
+    it("detects Ramadan from the Hijri month", () => {
+        assert.strictEqual(core.isRamadanDay("1446-09-15"), true);
+        assert.strictEqual(core.isRamadanDay("1446-10-01"), false);
+        assert.strictEqual(core.isRamadanDay("1446-10-01", { ...core.DEFAULT_RAMADAN_SETTINGS, mode: "on" }), true);
+    });
+});
+
+describe("day events", () => {
+    it("schedules iqamah events when the iqamah alert is off", () => {
+        const core = new PrayerCore();
+        const times = { "Date Hijri": "1446-09-07", Subuh: "05:59", Zohor: "13:15", Asar: "16:38", Maghrib: "19:14", Isyak: "20:28" };
+        const iqamahEvents = settings => core.buildDayEvents({ date: new Date(2025, 2, 7), times, iqamah: settings })
+            .filter(event => event.type === "iqamah")
+            .map(event => `${event.prayer} ${event.alert}`);
+
+        // Friday: Zohor has the Jumaat second adhan instead
+        assert.deepStrictEqual(iqamahEvents(core.DEFAULT_IQAMAH_SETTINGS), ["Subuh true", "Asar true", "Maghrib true", "Isyak true"]);
+        assert.deepStrictEqual(iqamahEvents({ ...core.DEFAULT_IQAMAH_SETTINGS, alert: false }), ["Subuh false", "Asar false", "Maghrib false", "Isyak false"]);
+    });
+});
+
+describe("cache eviction under quota pressure", () => {
+    /**
+     * In-memory store whose next write of `fullKey` fails with a quota error
+     */
+    async function createFullStore(fullKey) {
+        const store = new PrayerCacheStore();
+        const days = [{ date: "01-Mar-2025" }];
+        for (const [zone, year, month] of [["JHR04", 2025, 2], ["JHR04", 2025, 3], ["SBH07", 2025, 3], ["WLY01", 2025, 3], ["PNG01", 2025, 3]]) {
+            await store.put(zone, year, month, days, "api-v2");
+        }
+
+        const request = store.request.bind(store);
+        let full = true;
+        store.request = (mode, operation) => request(mode, objectStore => operation({
+            ...objectStore,
+            put: entry => {
+                if (full && entry.key === fullKey) {
+                    full = false;
+                    throw Object.assign(new Error("Quota exceeded"), { name: "QuotaExceededError" });
+                }
+                return objectStore.put(entry);
+            }
+        }));
+        return store;
+    }
+
+    it("keeps the home and dashboard zones' current month", async () => {
+        const store = await createFullStore("PNG01_2025_4");
+        store.setActive({ zones: ["JHR04", "SBH07"], year: 2025, month: 3 });
+
+        await store.put("PNG01", 2025, 4, [{ date: "01-Apr-2025" }], "api-v2");
+
+        const keys = (await store.list()).map(entry => entry.key);
+        assert.deepStrictEqual(keys, ["JHR04_2025_3", "PNG01_2025_3", "PNG01_2025_4", "SBH07_2025_3"]);
+    });
+
+    it("falls back to the zone and month being stored when nothing is active", async () => {
+        const store = await createFullStore("JHR04_2025_4");
+
+        await store.put("JHR04", 2025, 4, [{ date: "01-Apr-2025" }], "api-v2");
+
+        const keys = (await store.list()).map(entry => entry.key);
+        assert.deepStrictEqual(keys, ["JHR04_2025_4"]);
+    });
+});
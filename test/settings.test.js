@@ -0,0 +1,59 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { setupBrowser, captureConsole } = require("./helpers/browser.js");
+
+setupBrowser();
+const messages = captureConsole();
+const PrayerTimeApp = require("../script.js");
+
+/**
+ * App on a fresh profile whose downloads are collected instead of saved
+ */
+function createApp() {
+    localStorage.clear();
+    const app = new PrayerTimeApp();
+    app.downloads = [];
+    app.downloadFile = (filename, content) => app.downloads.push({ filename, content });
+    return app;
+}
+
+test("settings export leaves out the admin PIN and import keeps this screen's PIN", () => {
+    const app = createApp();
+    app.updateSettings({ "admin.pin": "1234", "display.layout": "tv" });
+
+    app.exportSettings();
+    const exported = JSON.parse(app.downloads[0].content);
+    assert.strictEqual(exported.display.layout, "tv");
+    assert.strictEqual(exported.admin.pin, undefined);
+    assert.ok(!app.downloads[0].content.includes("1234"));
+
+    app.updateSettings({ "admin.pin": "9876", "display.layout": "compact" });
+    app.importSettings(app.downloads[0].content);
+    assert.strictEqual(app.getSetting("display.layout"), "tv");
+    assert.strictEqual(app.getSetting("admin.pin"), "9876");
+});
+
+test("settings import validates feature sections", () => {
+    const app = createApp();
+    app.importSettings({
+        version: 1,
+        iqamah: { offsets: { Subuh: 25 } },
+        ramadan: { mode: "sometimes" },
+        jumaat: { khutbahOffsetMin: "ten" },
+        dashboard: { enabled: true, zones: ["XYZ99"] },
+        audioSchedule: { Subuh: { adhan: { volume: 5 } } },
+        integrations: { webhooks: ["file:///etc/passwd"] },
+        providers: "api-v2"
+    });
+
+    const settings = app.settings;
+    assert.deepStrictEqual(settings.iqamah, { offsets: { Subuh: 25 } });
+    ["ramadan", "jumaat", "dashboard", "audioSchedule", "integrations", "providers"].forEach(section => {
+        assert.strictEqual(settings[section], undefined, `${section} falls back to the defaults`);
+    });
+    assert.strictEqual(app.state.iqamahSettings.offsets.Subuh, 25);
+    assert.strictEqual(app.state.ramadanSettings.mode, app.DEFAULT_RAMADAN_SETTINGS.mode);
+    assert.ok(messages.warn.some(message => message.includes("Ignoring ramadan settings: Invalid Ramadan mode")));
+});
@@ -0,0 +1,49 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { setupBrowser, captureConsole } = require("./helpers/browser.js");
+
+setupBrowser();
+captureConsole();
+const PrayerTimeApp = require("../script.js");
+
+/**
+ * App with the bundled JHR04 CSV and March 2025 loaded, timetable open on that month
+ */
+async function openMarchTimetable() {
+    const app = new PrayerTimeApp();
+    app.clock.useFixedTime("2025-03-07T13:00:00+08:00");
+    app.core.PROVIDER_ORDER = ["csv"];
+    app.state.currentZone = "JHR04";
+    await app.loadCSVData();
+    await app.fetchPrayerData("JHR04", 2025, 3);
+    app.openTimetable();
+    return app;
+}
+
+const text = id => document.getElementById(id).textContent.replace(/\s+/g, " ").trim();
+const firstRow = () => Array.from(document.querySelectorAll("#timetable-body tr:first-child td")).map(cell => cell.textContent.trim());
+
+test("timetable is rendered in the display language", async () => {
+    const app = await openMarchTimetable();
+    assert.match(text("timetable-title"), /^Waktu Solat Mac 2025 · JHR04/);
+    assert.deepStrictEqual(firstRow().slice(0, 3), ["01", "Sabtu", "30 Syaaban 1446H"]);
+    assert.strictEqual(text("timetable-source"), "Sumber: CSV");
+
+    app.setLanguage("en");
+    assert.match(text("timetable-title"), /^Prayer times Mar 2025 · JHR04/);
+    assert.deepStrictEqual(
+        Array.from(document.querySelectorAll("#timetable-head th")).map(cell => cell.textContent),
+        ["Date", "Day", "Hijri", "Imsak", "Fajr", "Sunrise", "Dhuhr", "Asr", "Maghrib", "Isha"]
+    );
+    assert.deepStrictEqual(firstRow().slice(0, 3), ["01", "Saturday", "30 Sha'ban 1446 AH"]);
+    assert.strictEqual(text("timetable-source"), "Source: CSV");
+
+    app.setLanguage("ar");
+    assert.match(text("timetable-title"), /^مواقيت الصلاة مارس ٢٠٢٥/);
+    assert.deepStrictEqual(firstRow().slice(0, 3), ["٠١", "السبت", "٣٠ شعبان ١٤٤٦هـ"]);
+    assert.match(firstRow()[3], /^[٠-٩]{2}:[٠-٩]{2}$/);
+    assert.strictEqual(app.core.locale.id, "ar");
+    app.destroy();
+});